@@ -0,0 +1,266 @@
+// File paths inside a filtergraph are escaped once for the option value and again
+// for the graph itself
+function escapeFilterPath(filePath) {
+  const optionEscaped = filePath.replace(/\\/g, '/').replace(/[':]/g, '\\$&');
+  return optionEscaped.replace(/[\\',;[\]]/g, '\\$&');
+}
+
+// Filters the enhancement pass can apply, each with its tunable parameters.
+// Filters run in the order listed here; video ones before any upscaling.
+const ENHANCEMENT_FILTERS = {
+  deinterlace: {
+    type: 'video',
+    label: 'Deinterlace',
+    params: {},
+    build: () => 'yadif=mode=send_frame'
+  },
+  noiseReduction: {
+    type: 'video',
+    label: 'Noise Reduction',
+    params: {
+      spatial: { label: 'Spatial strength', min: 0, max: 20, step: 0.5, default: 4 },
+      temporal: { label: 'Temporal strength', min: 0, max: 20, step: 0.5, default: 6 }
+    },
+    // Chroma is smoothed a little less than luma, as hqdn3d does by default
+    build: ({ spatial, temporal }) => `hqdn3d=${spatial}:${spatial * 0.75}:${temporal}:${temporal * 0.75}`
+  },
+  colorCorrection: {
+    type: 'video',
+    label: 'Color Correction',
+    params: {
+      contrast: { label: 'Contrast', min: 0.5, max: 2, step: 0.05, default: 1.1 },
+      brightness: { label: 'Brightness', min: -0.5, max: 0.5, step: 0.01, default: 0.05 },
+      saturation: { label: 'Saturation', min: 0, max: 3, step: 0.05, default: 1.1 },
+      gamma: { label: 'Gamma', min: 0.5, max: 2.5, step: 0.05, default: 1 }
+    },
+    build: ({ contrast, brightness, saturation, gamma }) => {
+      return `eq=contrast=${contrast}:brightness=${brightness}:saturation=${saturation}:gamma=${gamma}`;
+    }
+  },
+  sharpen: {
+    type: 'video',
+    label: 'Sharpen',
+    params: {
+      amount: { label: 'Amount', min: 0, max: 2, step: 0.1, default: 0.5 }
+    },
+    build: ({ amount }) => `unsharp=5:5:${amount}:5:5:0`
+  },
+  audioDenoise: {
+    type: 'audio',
+    label: 'Audio Noise Reduction',
+    params: {
+      reduction: { label: 'Reduction (dB)', min: 1, max: 40, step: 1, default: 12 },
+      noiseFloor: { label: 'Noise floor (dB)', min: -80, max: -20, step: 1, default: -50 }
+    },
+    build: ({ reduction, noiseFloor }) => `afftdn=nr=${reduction}:nf=${noiseFloor}`
+  },
+  // RNNoise when a model is configured, otherwise a speech band-pass with FFT denoising
+  voiceIsolation: {
+    type: 'audio',
+    label: 'Voice Isolation',
+    params: {},
+    build: (params, { rnnoiseModelPath } = {}) => {
+      return rnnoiseModelPath
+        ? `arnndn=m=${escapeFilterPath(rnnoiseModelPath)}`
+        : 'highpass=f=100,lowpass=f=7000,afftdn=nr=20';
+    }
+  },
+  // Cuts every pause longer than minDuration, so it is only offered for audio-only downloads
+  silenceTrim: {
+    type: 'audio',
+    label: 'Silence Trimming',
+    audioOnly: true,
+    params: {
+      threshold: { label: 'Threshold (dB)', min: -90, max: -20, step: 1, default: -50 },
+      minDuration: { label: 'Min pause (s)', min: 0.2, max: 10, step: 0.1, default: 1 }
+    },
+    build: ({ threshold, minDuration }) => {
+      return `silenceremove=start_periods=1:start_threshold=${threshold}dB:start_duration=0:` +
+        `stop_periods=-1:stop_threshold=${threshold}dB:stop_duration=${minDuration}`;
+    }
+  },
+  mono: {
+    type: 'audio',
+    label: 'Mono Downmix',
+    params: {},
+    build: () => 'aformat=channel_layouts=mono'
+  },
+  // Last, so it measures the audio the other filters produced
+  loudnorm: {
+    type: 'audio',
+    label: 'Loudness Normalization (EBU R128)',
+    params: {
+      integrated: { label: 'Target loudness (LUFS)', min: -70, max: -5, step: 1, default: -16 },
+      truePeak: { label: 'True peak (dBTP)', min: -9, max: 0, step: 0.1, default: -1.5 },
+      range: { label: 'Loudness range (LU)', min: 1, max: 20, step: 1, default: 11 }
+    },
+    build: ({ integrated, truePeak, range }) => `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`
+  }
+};
+
+// Built-in starting points; any parameter left out uses the filter's default
+const ENHANCEMENT_PRESETS = {
+  'light-cleanup': {
+    label: 'Light cleanup',
+    filters: {
+      noiseReduction: { spatial: 2, temporal: 3 },
+      colorCorrection: { contrast: 1.05, brightness: 0.02, saturation: 1.05 }
+    }
+  },
+  'old-vhs': {
+    label: 'Old VHS',
+    filters: {
+      deinterlace: {},
+      noiseReduction: { spatial: 6, temporal: 8 },
+      colorCorrection: { contrast: 1.15, brightness: 0, saturation: 1.25 },
+      sharpen: { amount: 0.6 }
+    }
+  },
+  'low-light-phone': {
+    label: 'Low-light phone',
+    filters: {
+      noiseReduction: { spatial: 8, temporal: 10 },
+      colorCorrection: { contrast: 1.05, brightness: 0.08, saturation: 1.1, gamma: 1.3 }
+    }
+  },
+  'talk-podcast': {
+    label: 'Talk / podcast audio',
+    filters: {
+      audioDenoise: { reduction: 15 },
+      voiceIsolation: {},
+      loudnorm: { integrated: -16 }
+    }
+  }
+};
+
+// Checks a { filterName: { param: value } } map against ENHANCEMENT_FILTERS and fills
+// in defaults. Returns { filters } or { error } naming the first bad value
+function normalizeFilters(filters) {
+  if (filters == null) return { filters: {} };
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Enhancement filters must be an object' };
+  }
+
+  const normalized = {};
+  for (const [name, params] of Object.entries(filters)) {
+    const spec = ENHANCEMENT_FILTERS[name];
+    if (!spec) {
+      return { error: `Unknown enhancement filter: ${name}` };
+    }
+    if (params === false || params == null) continue;
+
+    const values = params === true ? {} : params;
+    if (typeof values !== 'object') {
+      return { error: `Parameters for ${name} must be an object` };
+    }
+
+    normalized[name] = {};
+    for (const [param, range] of Object.entries(spec.params)) {
+      const value = values[param] === undefined ? range.default : Number(values[param]);
+      if (!Number.isFinite(value) || value < range.min || value > range.max) {
+        return { error: `${spec.label} ${range.label.toLowerCase()} must be between ${range.min} and ${range.max}` };
+      }
+      normalized[name][param] = value;
+    }
+  }
+
+  return { filters: normalized };
+}
+
+// Preset filters first, then explicit filters on top of them
+function resolvePreset(presetId, filters) {
+  if (presetId == null || presetId === '' || presetId === 'none') {
+    return normalizeFilters(filters);
+  }
+
+  const preset = ENHANCEMENT_PRESETS[presetId];
+  if (!preset) {
+    return { error: `Unknown enhancement preset: ${presetId}` };
+  }
+
+  const merged = { ...preset.filters };
+  Object.entries(filters || {}).forEach(([name, params]) => {
+    // A plain `true` only switches a filter on; it keeps the preset's strength
+    if (params === true && merged[name]) return;
+
+    merged[name] = params && typeof params === 'object'
+      ? { ...merged[name], ...params }
+      : params;
+  });
+  return normalizeFilters(merged);
+}
+
+// ffmpeg filter strings of one type ('video' or 'audio'), in pipeline order
+function buildFilterChain(filters, type = 'video', context = {}) {
+  return Object.keys(ENHANCEMENT_FILTERS)
+    .filter(name => filters && filters[name] && ENHANCEMENT_FILTERS[name].type === type)
+    .map(name => ENHANCEMENT_FILTERS[name].build(filters[name], context));
+}
+
+// Names of chosen filters that only make sense without a video track
+function audioOnlyFilters(filters) {
+  return Object.keys(filters || {}).filter(name => ENHANCEMENT_FILTERS[name] && ENHANCEMENT_FILTERS[name].audioOnly);
+}
+
+// Hides a watermark given as a region in percent of the frame. 'delogo' paints over it
+// from the surrounding pixels; 'crop' cuts away the narrowest edge strip that holds it.
+// `frame` is the input's size in pixels
+function buildWatermarkFilter({ mode, region }, frame) {
+  const pixels = (percent, size) => Math.round((size * percent) / 100);
+  const even = value => Math.max(2, Math.floor(value / 2) * 2);
+
+  if (mode === 'crop') {
+    // Share of the frame each edge strip would remove
+    const top = region.y + region.height;
+    const bottom = 100 - region.y;
+    const left = region.x + region.width;
+    const right = 100 - region.x;
+    const smallest = Math.min(top, bottom, left, right);
+
+    if (smallest === top) {
+      const cut = pixels(top, frame.height);
+      return `crop=iw:${even(frame.height - cut)}:0:${cut}`;
+    }
+    if (smallest === bottom) {
+      return `crop=iw:${even(frame.height - pixels(bottom, frame.height))}:0:0`;
+    }
+    if (smallest === left) {
+      const cut = pixels(left, frame.width);
+      return `crop=${even(frame.width - cut)}:ih:${cut}:0`;
+    }
+    return `crop=${even(frame.width - pixels(right, frame.width))}:ih:0:0`;
+  }
+
+  // delogo needs a one pixel border around the area to interpolate from
+  const x = Math.min(Math.max(1, pixels(region.x, frame.width)), frame.width - 3);
+  const y = Math.min(Math.max(1, pixels(region.y, frame.height)), frame.height - 3);
+  const w = Math.max(1, Math.min(pixels(region.width, frame.width), frame.width - 1 - x));
+  const h = Math.max(1, Math.min(pixels(region.height, frame.height), frame.height - 1 - y));
+  return `delogo=x=${x}:y=${y}:w=${w}:h=${h}`;
+}
+
+// Filter and preset descriptions for clients, without the ffmpeg builders
+function describeEnhancements() {
+  const filters = {};
+  Object.entries(ENHANCEMENT_FILTERS).forEach(([name, { type, label, params, audioOnly }]) => {
+    filters[name] = { type, label, params, audioOnly: Boolean(audioOnly) };
+  });
+
+  const presets = Object.entries(ENHANCEMENT_PRESETS).map(([id, preset]) => ({
+    id,
+    label: preset.label,
+    filters: normalizeFilters(preset.filters).filters
+  }));
+
+  return { filters, presets };
+}
+
+module.exports = {
+  normalizeFilters,
+  resolvePreset,
+  buildFilterChain,
+  audioOnlyFilters,
+  describeEnhancements,
+  buildWatermarkFilter,
+  escapeFilterPath
+};
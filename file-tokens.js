@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+// Opaque links to finished files. A token holds the job id, the file's name inside
+// that job's folder and an expiry, signed with HMAC-SHA256 so it can't be edited
+function createFileTokens({ secret, ttl }) {
+  const signature = payload => crypto.createHmac('sha256', secret).update(payload).digest();
+
+  return {
+    sign(jobId, file) {
+      const payload = base64url(JSON.stringify({ job: jobId, file, exp: Date.now() + ttl }));
+      return `${payload}.${base64url(signature(payload))}`;
+    },
+
+    // { job, file, exp }, or null when the token is malformed, tampered with or expired
+    verify(token) {
+      const [payload, signed] = String(token).split('.');
+      if (!payload || !signed) return null;
+
+      const expected = signature(payload);
+      const given = Buffer.from(signed, 'base64url');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+      return data && typeof data.job === 'string' && typeof data.file === 'string' && data.exp > Date.now()
+        ? data
+        : null;
+    }
+  };
+}
+
+module.exports = { createFileTokens };
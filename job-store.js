@@ -0,0 +1,129 @@
+const fs = require('fs-extra');
+
+// Every status a job can be in, as reported by the API
+const JOB_STATUSES = ['starting', 'queued', 'downloading', 'paused', 'converting', 'enhancing', 'complete', 'failed'];
+
+// Download jobs backed by a JSON-lines journal so they survive restarts.
+// Every change is appended as one line; load() replays the journal and
+// rewrites it compacted to one line per job.
+// `privateFields` are only kept on disk while a job holds them: removing one, or
+// deleting a job that has one, rewrites the journal so no older line still has it.
+class JobStore {
+  constructor(filePath, { privateFields = [] } = {}) {
+    this.filePath = filePath;
+    this.privateFields = privateFields;
+    this.jobs = new Map();
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      lines.forEach(line => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A crash can leave a truncated last line; skip it
+          return;
+        }
+
+        if (entry.deleted) {
+          this.jobs.delete(entry.id);
+          return;
+        }
+
+        // Fields journaled as null were removed by update()
+        const job = { ...this.jobs.get(entry.id), ...entry.data, id: entry.id };
+        Object.keys(job).forEach(key => {
+          if (job[key] === null) delete job[key];
+        });
+        this.jobs.set(entry.id, job);
+      });
+    }
+
+    this.compact();
+    return this;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  has(id) {
+    return this.jobs.has(id);
+  }
+
+  values() {
+    return Array.from(this.jobs.values());
+  }
+
+  create(id, data) {
+    const now = new Date().toISOString();
+    const job = { ...data, id, createdAt: now, updatedAt: now };
+    this.jobs.set(id, job);
+    this.append({ id, data: job });
+    return job;
+  }
+
+  // Merges the patch into the live job object, so existing references see it too
+  update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const data = { ...patch, updatedAt: new Date().toISOString() };
+    const dropsPrivateField = this.privateFields.some(key => key in data && data[key] === undefined && key in job);
+    Object.keys(data).forEach(key => {
+      if (data[key] === undefined) {
+        delete job[key];
+      } else {
+        job[key] = data[key];
+      }
+    });
+
+    if (dropsPrivateField) {
+      this.compact();
+      return job;
+    }
+
+    // undefined is dropped by JSON.stringify, so removals are journaled as null
+    const journaled = {};
+    Object.keys(data).forEach(key => {
+      journaled[key] = data[key] === undefined ? null : data[key];
+    });
+    this.append({ id, data: journaled });
+    return job;
+  }
+
+  delete(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    this.jobs.delete(id);
+    if (this.privateFields.some(key => key in job)) {
+      this.compact();
+    } else {
+      this.append({ id, deleted: true });
+    }
+    return true;
+  }
+
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = this.values().map(job => JSON.stringify({ id: job.id, data: job }));
+    fs.writeFileSync(tempPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  append(entry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('Job journal write failed:', error.message);
+    }
+  }
+}
+
+module.exports = { JobStore, JOB_STATUSES };
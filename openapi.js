@@ -0,0 +1,506 @@
+const { version } = require('./package.json');
+const { JOB_STATUSES } = require('./job-store');
+
+// OpenAPI description of /api/v1, served at /api/v1/openapi.json. Keep it in step with
+// the serialize* functions in server.js
+const nullable = (schema) => ({ ...schema, nullable: true });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const jobIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'VidHarvest Pro API',
+    version,
+    description: 'Analyze videos, queue downloads and fetch the finished files. ' +
+      'When the server runs with AUTH_MODE=local, send a personal API key or session token ' +
+      'as a bearer token. Without accounts, send the same X-Session-Id header (a random version 4 UUID) ' +
+      'with every call; jobs and files are only listed for the session that started them.'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/analyze': {
+      post: {
+        summary: 'Analyze a video, playlist or channel URL',
+        operationId: 'analyze',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url'],
+                properties: { url: { type: 'string', format: 'uri' } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('The video, or the playlist with its entries', {
+            oneOf: [ref('Video'), ref('Playlist')],
+            discriminator: { propertyName: 'type' }
+          }),
+          400: errorResponse('The URL is missing or invalid'),
+          401: errorResponse('No valid API key or session'),
+          500: errorResponse('The URL could not be analyzed')
+        }
+      }
+    },
+    '/jobs': {
+      get: {
+        summary: 'List jobs, newest first',
+        description: 'Also served at /api/jobs for scripts that poll job state.',
+        operationId: 'listJobs',
+        parameters: [{
+          name: 'status',
+          in: 'query',
+          description: 'Only jobs with this status; several can be given comma-separated',
+          schema: { type: 'string', example: 'queued,downloading' }
+        }],
+        responses: {
+          200: jsonResponse('The jobs', {
+            type: 'object',
+            required: ['jobs'],
+            properties: { jobs: { type: 'array', items: ref('Job') } }
+          }),
+          400: errorResponse('An unknown status was given'),
+          401: errorResponse('No valid API key or session')
+        }
+      },
+      post: {
+        summary: 'Queue a download',
+        operationId: 'createJob',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref('JobRequest') } }
+        },
+        responses: {
+          202: jsonResponse('The queued job', ref('Job')),
+          400: errorResponse('An option is invalid'),
+          401: errorResponse('No valid API key or session'),
+          403: errorResponse('The storage quota is full')
+        }
+      }
+    },
+    '/jobs/{id}': {
+      parameters: [jobIdParameter],
+      get: {
+        summary: 'Get a job',
+        description: 'Also served at /api/jobs/{id}. Poll it to follow a job without Socket.IO.',
+        operationId: 'getJob',
+        responses: {
+          200: jsonResponse('The job', ref('Job')),
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('No such job')
+        }
+      },
+      delete: {
+        summary: 'Cancel a job and delete its files',
+        operationId: 'deleteJob',
+        responses: {
+          204: { description: 'The job is gone' },
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('No such job')
+        }
+      }
+    },
+    '/jobs/{id}/events': {
+      parameters: [jobIdParameter],
+      get: {
+        summary: 'Follow a job as Server-Sent Events',
+        description: 'Also served at /api/jobs/{id}/events. Sends the Socket.IO payloads as `download_progress`, ' +
+          '`download_complete` and `download_error` events, starting with the current state, and ends after ' +
+          'the job completes or fails.',
+        operationId: 'streamJobEvents',
+        responses: {
+          200: {
+            description: 'An event stream',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('No such job')
+        }
+      }
+    },
+    '/files': {
+      get: {
+        summary: 'List finished files',
+        operationId: 'listFiles',
+        responses: {
+          200: jsonResponse('The files', {
+            type: 'object',
+            required: ['files'],
+            properties: { files: { type: 'array', items: ref('File') } }
+          }),
+          401: errorResponse('No valid API key or session')
+        }
+      }
+    },
+    '/keys': {
+      get: {
+        summary: 'List your API keys',
+        operationId: 'listApiKeys',
+        responses: {
+          200: jsonResponse('The keys, without their secrets', {
+            type: 'object',
+            required: ['keys'],
+            properties: { keys: { type: 'array', items: ref('ApiKey') } }
+          }),
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('Accounts are disabled')
+        }
+      },
+      post: {
+        summary: 'Create an API key',
+        operationId: 'createApiKey',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', maxLength: 64 } }
+              }
+            }
+          }
+        },
+        responses: {
+          201: jsonResponse('The new key. `key` is only returned here', {
+            allOf: [ref('ApiKey'), {
+              type: 'object',
+              required: ['key'],
+              properties: { key: { type: 'string', example: 'vh_3q2f...' } }
+            }]
+          }),
+          400: errorResponse('The name is missing or too long'),
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('Accounts are disabled')
+        }
+      }
+    },
+    '/keys/{id}': {
+      parameters: [{ ...jobIdParameter, description: 'API key id' }],
+      delete: {
+        summary: 'Revoke an API key',
+        operationId: 'revokeApiKey',
+        responses: {
+          204: { description: 'The key no longer works' },
+          401: errorResponse('No valid API key or session'),
+          404: errorResponse('No such key')
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: {
+                type: 'string',
+                enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'internal_error']
+              },
+              message: { type: 'string' }
+            }
+          }
+        }
+      },
+      Format: {
+        type: 'object',
+        required: ['id', 'quality', 'container', 'lossless', 'watermarked'],
+        properties: {
+          id: nullable({ type: 'string', description: 'yt-dlp format id, sent back as formatId' }),
+          quality: { type: 'string', example: '1080p', description: '"Audio Only" for audio formats' },
+          container: { type: 'string', example: 'mp4' },
+          label: nullable({ type: 'string' }),
+          fileSize: nullable({ type: 'integer', description: 'Bytes, often an estimate' }),
+          fps: nullable({ type: 'number' }),
+          videoCodec: nullable({ type: 'string' }),
+          audioCodec: nullable({ type: 'string' }),
+          lossless: { type: 'boolean' },
+          watermarked: { type: 'boolean' }
+        }
+      },
+      Video: {
+        type: 'object',
+        required: [
+          'type', 'title', 'platform', 'formats', 'subtitles', 'subtitleFormats', 'audioBitrates',
+          'defaultAudioBitrate', 'compressTargetSizes', 'watermarkRemoval', 'enhancementOptions'
+        ],
+        properties: {
+          type: { type: 'string', enum: ['video'] },
+          title: { type: 'string' },
+          platform: { type: 'string' },
+          duration: nullable({ type: 'number', description: 'Seconds' }),
+          thumbnail: nullable({ type: 'string' }),
+          uploader: nullable({ type: 'string' }),
+          viewCount: nullable({ type: 'integer' }),
+          uploadDate: nullable({ type: 'string', example: '20240131' }),
+          formats: { type: 'array', items: ref('Format') },
+          subtitles: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['language', 'name', 'automatic'],
+              properties: {
+                language: { type: 'string' },
+                name: { type: 'string' },
+                automatic: { type: 'boolean' }
+              }
+            }
+          },
+          subtitleFormats: { type: 'array', items: { type: 'string' }, example: ['srt', 'vtt', 'ass'] },
+          audioBitrates: {
+            type: 'array',
+            items: { type: 'integer' },
+            example: [96, 128, 192, 256, 320],
+            description: 'kbps values accepted as audioBitrate'
+          },
+          defaultAudioBitrate: { type: 'integer', example: 192 },
+          compressTargetSizes: {
+            type: 'array',
+            items: { type: 'number' },
+            example: [8, 10, 25, 50, 100],
+            description: 'Suggested MB values for compress.targetSize; any size from 1 to 4096 is accepted'
+          },
+          watermarkRemoval: ref('WatermarkRemoval'),
+          enhancementOptions: ref('EnhancementOptions')
+        }
+      },
+      WatermarkRemoval: {
+        type: 'object',
+        required: ['cleanFormat', 'defaultRegion', 'modes'],
+        properties: {
+          cleanFormat: { type: 'boolean', description: 'A format without the platform watermark is available' },
+          defaultRegion: nullable({
+            type: 'object',
+            description: 'Where the platform puts its watermark, in percent of the frame; null when unknown',
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number' },
+              height: { type: 'number' }
+            }
+          }),
+          modes: { type: 'array', items: { type: 'string' }, example: ['delogo', 'crop'] }
+        }
+      },
+      EnhancementOptions: {
+        type: 'object',
+        required: ['filters', 'presets', 'upscalers', 'upscaleTargets', 'defaultUpscaleTarget'],
+        description: 'What enhancements.filters, enhancements.preset, enhancements.upscaler and enhancements.targetHeight accept',
+        properties: {
+          filters: {
+            type: 'object',
+            description: 'Filters by name, for enhancements.filters',
+            additionalProperties: {
+              type: 'object',
+              required: ['type', 'label', 'params', 'audioOnly'],
+              properties: {
+                type: { type: 'string', enum: ['video', 'audio'] },
+                label: { type: 'string' },
+                params: {
+                  type: 'object',
+                  description: 'Each parameter\'s range',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      label: { type: 'string' },
+                      min: { type: 'number' },
+                      max: { type: 'number' },
+                      step: { type: 'number' },
+                      default: { type: 'number' }
+                    }
+                  }
+                },
+                audioOnly: { type: 'boolean', description: 'Only accepted for "Audio Only" downloads' }
+              }
+            }
+          },
+          presets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'label', 'filters'],
+              properties: {
+                id: { type: 'string', example: 'light-cleanup' },
+                label: { type: 'string' },
+                filters: { type: 'object', description: 'The filters the preset runs, with their parameters' }
+              }
+            }
+          },
+          upscalers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'label', 'available'],
+              properties: {
+                id: { type: 'string', example: 'lanczos' },
+                label: { type: 'string' },
+                available: { type: 'boolean' }
+              }
+            }
+          },
+          upscaleTargets: { type: 'array', items: { type: 'integer' }, example: [720, 1080, 1440, 2160] },
+          defaultUpscaleTarget: { type: 'integer', example: 1080 }
+        }
+      },
+      Playlist: {
+        type: 'object',
+        required: ['type', 'platform', 'isChannel', 'entryCount', 'truncated', 'entries'],
+        properties: {
+          type: { type: 'string', enum: ['playlist'] },
+          id: nullable({ type: 'string' }),
+          title: nullable({ type: 'string' }),
+          platform: { type: 'string' },
+          uploader: nullable({ type: 'string' }),
+          isChannel: { type: 'boolean' },
+          entryCount: { type: 'integer' },
+          truncated: { type: 'boolean', description: 'Only the first 200 entries are listed' },
+          entries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['index', 'title', 'url'],
+              properties: {
+                index: { type: 'integer' },
+                id: nullable({ type: 'string' }),
+                title: { type: 'string' },
+                duration: nullable({ type: 'number' }),
+                thumbnail: nullable({ type: 'string' }),
+                url: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      JobRequest: {
+        type: 'object',
+        required: ['url'],
+        description: 'The same options as POST /api/download; see the README for each one',
+        properties: {
+          url: { type: 'string', format: 'uri' },
+          quality: { type: 'string', example: '1080p' },
+          format: { type: 'string', example: 'mp4' },
+          formatId: { type: 'string' },
+          audioBitrate: { type: 'integer', example: 192 },
+          clip: {
+            type: 'object',
+            properties: {
+              start: nullable({ type: 'string', example: '1:30' }),
+              end: nullable({ type: 'string', example: '2:45' })
+            }
+          },
+          subtitles: { type: 'object' },
+          watermark: { type: 'object' },
+          compress: {
+            oneOf: [
+              { type: 'string', enum: ['light', 'medium', 'strong'] },
+              {
+                type: 'object',
+                required: ['targetSize'],
+                properties: { targetSize: { type: 'number', minimum: 1, maximum: 4096 } }
+              }
+            ]
+          },
+          enhancements: {
+            type: 'object',
+            description: 'Choices from the analyzed video\'s enhancementOptions',
+            properties: {
+              preset: { type: 'string', example: 'light-cleanup' },
+              filters: { type: 'object', description: 'Filter names, each true or an object of parameters' },
+              aiUpscaling: { type: 'boolean' },
+              upscaler: { type: 'string', example: 'lanczos' },
+              targetHeight: { type: 'integer', example: 1080 }
+            }
+          },
+          embedMetadata: { type: 'boolean', default: true },
+          filenameTemplate: { type: 'string', example: '{title} - {uploader}' }
+        }
+      },
+      Job: {
+        type: 'object',
+        required: ['id', 'type', 'status', 'progress', 'createdAt', 'updatedAt'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          type: { type: 'string', enum: ['download', 'conversion'] },
+          status: { type: 'string', enum: JOB_STATUSES },
+          stage: nullable({ type: 'string', example: 'Compressing to 8 MB' }),
+          progress: { type: 'integer', minimum: 0, maximum: 100, description: 'The whole job' },
+          stageProgress: nullable({ type: 'integer', minimum: 0, maximum: 100, description: 'The current stage' }),
+          bytes: nullable({
+            type: 'object',
+            description: 'While yt-dlp downloads',
+            required: ['downloaded'],
+            properties: {
+              downloaded: { type: 'integer' },
+              total: nullable({ type: 'integer', description: 'Can be an estimate' })
+            }
+          }),
+          speed: nullable({ type: 'string', example: '2.4 MB/s', description: 'Transfer rate, or ffmpeg speed such as "1.8x"' }),
+          eta: nullable({ type: 'integer', description: 'Seconds left in the current stage' }),
+          queuePosition: nullable({ type: 'integer', description: '1-based place in line while queued' }),
+          title: nullable({ type: 'string' }),
+          quality: { type: 'string' },
+          format: { type: 'string' },
+          batchId: nullable({ type: 'string' }),
+          error: nullable({ type: 'string' }),
+          file: { allOf: [ref('File')], nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      File: {
+        type: 'object',
+        required: ['jobId', 'name', 'platform', 'size', 'downloadUrl'],
+        properties: {
+          jobId: { type: 'string', format: 'uuid' },
+          name: { type: 'string', description: 'Name the file is downloaded under' },
+          platform: { type: 'string' },
+          size: { type: 'integer', description: 'Bytes' },
+          createdAt: { type: 'string', format: 'date-time' },
+          downloadUrl: {
+            type: 'string',
+            description: 'Signed link that expires after FILE_TOKEN_TTL_MINUTES; GET downloads the file, DELETE removes it'
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        required: ['id', 'name', 'createdAt'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          name: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastUsedAt: nullable({ type: 'string', format: 'date-time', description: 'Updated at most hourly' })
+        }
+      }
+    }
+  }
+};
+
+module.exports = { openApiDocument };
@@ -2,11 +2,19 @@
 
 class VidHarvestApp {
     constructor() {
-        this.socket = io();
+        this.authToken = localStorage.getItem('vidharvest_auth_token');
+        this.user = null;
+        this.installAuthFetch();
+        this.socket = io({ auth: { sessionId: this.getSessionId(), token: this.authToken } });
         this.currentSession = null;
         this.chatHistory = [];
         this.activeDownloads = new Map();
+        this.activeBatches = new Map();
+        this.convertSources = new Map();
         this.settings = this.loadSettings();
+        this.customPresets = this.loadCustomPresets();
+        this.enhancementSpec = null;
+        this.presetDraft = {};
         
         // Initialize modules
         this.chatManager = null;
@@ -21,6 +29,8 @@ class VidHarvestApp {
         this.bindEvents();
         this.initializeSocket();
         this.loadTheme();
+        this.loadEnhancementSpec();
+        this.checkAuth();
         
         // Initialize modules after DOM is ready
         this.initializeModules();
@@ -44,6 +54,7 @@ class VidHarvestApp {
         this.historyBtn = document.getElementById('historyBtn');
         this.settingsBtn = document.getElementById('settingsBtn');
         this.themeToggle = document.getElementById('themeToggle');
+        this.accountBtn = document.getElementById('accountBtn');
         this.newChatBtn = document.getElementById('newChatBtn');
         this.historyBadge = document.getElementById('historyBadge');
 
@@ -51,11 +62,16 @@ class VidHarvestApp {
         this.chatMessages = document.getElementById('chatMessages');
         this.chatInput = document.getElementById('chatInput');
         this.pasteBtn = document.getElementById('pasteBtn');
+        this.attachBtn = document.getElementById('attachBtn');
+        this.urlFileInput = document.getElementById('urlFileInput');
+        this.dropOverlay = document.getElementById('dropOverlay');
         this.sendBtn = document.getElementById('sendBtn');
 
         // Modal elements
         this.historyModal = document.getElementById('historyModal');
         this.settingsModal = document.getElementById('settingsModal');
+        this.loginModal = document.getElementById('loginModal');
+        this.loginError = document.getElementById('loginError');
         this.loadingOverlay = document.getElementById('loadingOverlay');
 
         // Settings elements
@@ -63,6 +79,11 @@ class VidHarvestApp {
         this.autoUpscale = document.getElementById('autoUpscale');
         this.autoNoise = document.getElementById('autoNoise');
         this.autoColor = document.getElementById('autoColor');
+        this.keepOnServer = document.getElementById('keepOnServer');
+        this.filenameTemplate = document.getElementById('filenameTemplate');
+        this.enhancementPreset = document.getElementById('enhancementPreset');
+        this.presetFilterEditor = document.getElementById('presetFilterEditor');
+        this.customPresetName = document.getElementById('customPresetName');
     }
 
     bindEvents() {
@@ -70,27 +91,45 @@ class VidHarvestApp {
         this.historyBtn.addEventListener('click', () => this.showHistoryModal());
         this.settingsBtn.addEventListener('click', () => this.showSettingsModal());
         this.themeToggle.addEventListener('click', () => this.toggleTheme());
+        this.accountBtn.addEventListener('click', () => this.logout());
         this.newChatBtn.addEventListener('click', () => this.startNewChat());
 
         // Chat input events
         this.chatInput.addEventListener('input', () => this.handleInputChange());
         this.chatInput.addEventListener('keydown', (e) => this.handleKeyDown(e));
         this.pasteBtn.addEventListener('click', () => this.pasteFromClipboard());
+        this.attachBtn.addEventListener('click', () => this.urlFileInput.click());
+        this.urlFileInput.addEventListener('change', () => {
+            const files = Array.from(this.urlFileInput.files);
+            this.urlFileInput.value = '';
+            this.handleFiles(files);
+        });
+        this.bindFileDrop();
+        this.handleLaunchQueue();
         this.sendBtn.addEventListener('click', () => this.sendMessage());
 
         // Modal events
         document.getElementById('closeHistoryModal').addEventListener('click', () => this.hideHistoryModal());
         document.getElementById('closeSettingsModal').addEventListener('click', () => this.hideSettingsModal());
+        document.getElementById('loginForm').addEventListener('submit', (e) => this.login(e));
 
         // Settings events
         this.defaultQuality.addEventListener('change', () => this.saveSettings());
         this.autoUpscale.addEventListener('change', () => this.saveSettings());
         this.autoNoise.addEventListener('change', () => this.saveSettings());
         this.autoColor.addEventListener('change', () => this.saveSettings());
+        this.keepOnServer.addEventListener('change', () => this.saveSettings());
+        this.filenameTemplate.addEventListener('change', () => this.saveSettings());
+        this.enhancementPreset.addEventListener('change', () => {
+            this.saveSettings();
+            this.renderPresetEditor();
+        });
+        document.getElementById('saveCustomPreset').addEventListener('click', () => this.saveCustomPreset());
+        document.getElementById('deleteCustomPreset').addEventListener('click', () => this.deleteCustomPreset());
 
-        // Click outside modal to close
+        // Click outside modal to close; signing in can't be skipped
         window.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
+            if (e.target.classList.contains('modal') && e.target !== this.loginModal) {
                 e.target.classList.remove('show');
             }
         });
@@ -102,17 +141,24 @@ class VidHarvestApp {
             this.updateStatus('Ready');
         });
 
+        this.socket.on('session', ({ sessionId }) => {
+            // Keep the server-confirmed ID so reconnects rejoin the same room
+            sessionStorage.setItem('vidharvest_session_id', sessionId);
+            this.socket.auth.sessionId = sessionId;
+        });
+
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.updateStatus('Disconnected');
         });
 
-        this.socket.on('download_progress', (data) => {
-            this.updateDownloadProgress(data);
+        // Refused handshakes mean the server has accounts on and the token is missing or stale
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'Sign in required') this.showLoginModal();
         });
 
-        this.socket.on('download_complete', (data) => {
-            this.handleDownloadComplete(data);
+        this.socket.on('download_progress', (data) => {
+            this.updateDownloadProgress(data);
         });
 
         this.socket.on('download_ready', (data) => {
@@ -122,6 +168,10 @@ class VidHarvestApp {
         this.socket.on('download_error', (data) => {
             this.handleDownloadError(data);
         });
+
+        this.socket.on('batch_progress', (data) => {
+            this.updateBatchProgress(data);
+        });
     }
 
     // UI Methods
@@ -298,8 +348,11 @@ What video would you like to download today?`,
         this.chatInput.value = '';
         this.handleInputChange();
 
-        // Check if it's a URL
-        if (this.isValidUrl(content)) {
+        // Check if it's one URL or a list of them
+        const urls = this.extractUrls(content);
+        if (urls.length > 1) {
+            await this.analyzeUrls(urls);
+        } else if (this.isValidUrl(content)) {
             await this.analyzeVideo(content);
         } else {
             // Handle as general query
@@ -316,6 +369,117 @@ What video would you like to download today?`,
         }
     }
 
+    // Pulls http(s) links out of pasted text or a .txt/.csv file, one per line or cell
+    extractUrls(text) {
+        const urls = text
+            .split(/[\s,;]+/)
+            .map(token => token.replace(/^["']|["']$/g, ''))
+            .filter(token => /^https?:\/\//i.test(token) && this.isValidUrl(token));
+
+        return [...new Set(urls)];
+    }
+
+    // Files dropped on the chat area go through the same path as attached ones
+    bindFileDrop() {
+        const container = this.chatMessages.parentElement;
+        let depth = 0;
+
+        container.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            depth++;
+            this.dropOverlay.classList.add('show');
+        });
+        container.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+        });
+        container.addEventListener('dragleave', () => {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0) this.dropOverlay.classList.remove('show');
+        });
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            depth = 0;
+            this.dropOverlay.classList.remove('show');
+            this.handleFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    // Files opened with the installed app (manifest file_handlers) arrive through launchQueue
+    handleLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            const files = await Promise.all((launchParams.files || []).map(handle => handle.getFile()));
+            this.handleFiles(files);
+        });
+    }
+
+    // Media files are offered for conversion; anything else is read for links
+    async handleFiles(files) {
+        const mediaExtensions = /\.(mp4|mkv|avi|mov|wmv|flv|webm|mp3|wav|flac|aac|ogg|opus|m4a)$/i;
+
+        for (const file of files) {
+            if (/^(video|audio)\//.test(file.type) || mediaExtensions.test(file.name)) {
+                this.addMessage({
+                    type: 'user',
+                    content: `📁 ${file.name} (${this.formatFileSize(file.size)})`,
+                    timestamp: new Date()
+                });
+                this.showConvertOptions({ file, name: file.name });
+            } else {
+                await this.handleUrlFile(file);
+            }
+        }
+    }
+
+    async handleUrlFile(file) {
+        const urls = this.extractUrls(await file.text());
+
+        this.addMessage({
+            type: 'user',
+            content: `📄 ${file.name} (${urls.length} ${urls.length === 1 ? 'link' : 'links'})`,
+            timestamp: new Date()
+        });
+
+        if (urls.length === 0) {
+            this.showErrorMessage('No video links found in that file.');
+        } else if (urls.length === 1) {
+            await this.analyzeVideo(urls[0]);
+        } else {
+            await this.analyzeUrls(urls);
+        }
+    }
+
+    async analyzeUrls(urls) {
+        this.updateStatus('Analyzing...');
+        this.showTypingIndicator();
+
+        try {
+            const response = await fetch('/api/analyze/batch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ urls })
+            });
+
+            const data = await response.json();
+            this.hideTypingIndicator();
+
+            if (data.success) {
+                this.showBulkAnalysis(data.results);
+            } else {
+                this.showErrorMessage(data.error);
+            }
+        } catch (error) {
+            this.hideTypingIndicator();
+            this.showErrorMessage('Failed to analyze links. Please check your connection and try again.');
+        }
+
+        this.updateStatus('Ready');
+    }
+
     async analyzeVideo(url) {
         this.updateStatus('Analyzing...');
         this.showTypingIndicator();
@@ -335,8 +499,11 @@ What video would you like to download today?`,
             const data = await response.json();
             this.hideTypingIndicator();
 
-            if (data.success) {
-                this.showVideoAnalysis(data.videoData);
+            if (data.success && data.playlistData) {
+                this.showPlaylistAnalysis(data.playlistData);
+                this.updateStatus('Ready');
+            } else if (data.success) {
+                this.showVideoAnalysis(data.videoData, url);
                 this.updateStatus('Ready');
             } else {
                 this.showErrorMessage(data.error);
@@ -349,8 +516,11 @@ What video would you like to download today?`,
         }
     }
 
-    showVideoAnalysis(videoData) {
-        const analysisHtml = this.createVideoAnalysisHtml(videoData);
+    showVideoAnalysis(videoData, url) {
+        // Options are read from this card only, and their ids end in its key, so several
+        // analyses can share the chat
+        const key = this.generateId();
+        const analysisHtml = `<div class="video-analysis" id="analysis-${key}" data-key="${key}">${this.createVideoAnalysisHtml(videoData, key)}</div>`;
         
         this.addMessage({
             type: 'assistant',
@@ -362,20 +532,22 @@ What video would you like to download today?`,
         
         // Add event listeners to download buttons
         setTimeout(() => {
-            const downloadBtns = document.querySelectorAll('.download-btn[data-title]');
-            downloadBtns.forEach(btn => {
+            const card = document.getElementById(`analysis-${key}`);
+            if (!card) return;
+
+            card.querySelectorAll('.download-btn[data-title]').forEach(btn => {
                 btn.addEventListener('click', () => {
                     const title = btn.dataset.title;
                     const quality = btn.dataset.quality;
                     const format = btn.dataset.format;
                     const formatId = btn.dataset.formatId;
-                    this.startDownload(title, quality, format, formatId);
+                    this.startDownload(card, url, { title, quality, format, formatId });
                 });
             });
         }, 100);
     }
 
-    createVideoAnalysisHtml(videoData) {
+    createVideoAnalysisHtml(videoData, key) {
         const formatFileSize = (bytes) => {
             if (!bytes) return 'Unknown';
             const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -398,13 +570,13 @@ What video would you like to download today?`,
         let html = `
             <div class="video-info">
                 <div class="video-header">
-                    ${videoData.thumbnail ? `<img src="${videoData.thumbnail}" alt="Thumbnail" class="video-thumbnail">` : ''}
+                    ${videoData.thumbnail ? `<img src="${this.escapeHtml(videoData.thumbnail)}" alt="Thumbnail" class="video-thumbnail">` : ''}
                     <div class="video-details">
-                        <h3>${videoData.title}</h3>
+                        <h3>${this.escapeHtml(videoData.title)}</h3>
                         <div class="video-meta">
                             <strong>Platform:</strong> ${videoData.platform} • 
                             <strong>Duration:</strong> ${formatDuration(videoData.duration)} • 
-                            <strong>Uploader:</strong> ${videoData.uploader || 'Unknown'}
+                            <strong>Uploader:</strong> ${this.escapeHtml(videoData.uploader || 'Unknown')}
                         </div>
                     </div>
                 </div>
@@ -425,35 +597,102 @@ What video would you like to download today?`,
                 <div class="quality-option">
                     <div class="quality-info">
                         <div class="quality-label">${format.quality === 'Audio Only' ? '🎵' : '📹'} ${format.quality}</div>
-                        <div class="quality-details">${format.format.toUpperCase()} • ${formatFileSize(format.fileSize)}</div>
+                        <div class="quality-details">${format.label || format.format.toUpperCase()} • ${format.lossless && !format.fileSize ? 'Lossless' : formatFileSize(format.fileSize)}</div>
                     </div>
-                    <button class="download-btn" data-title="${videoData.title}" data-quality="${format.quality}" data-format="${format.format}" data-format-id="${format.formatId || 'best'}">
+                    <button class="download-btn" data-title="${this.escapeHtml(videoData.title)}" data-quality="${format.quality}" data-format="${format.format}" data-format-id="${format.formatId || 'best'}">
                         Download
                     </button>
                 </div>
             `;
         });
 
+        const audioBitrates = videoData.audioBitrates || [];
+        const hasAudioFormats = videoData.formats.some(format => format.quality === 'Audio Only');
+        const hasVideoFormats = videoData.formats.some(format => format.quality !== 'Audio Only');
+        const compressTargetSizes = videoData.compressTargetSizes || [];
+
         html += `
                 </div>
+                ${hasAudioFormats && audioBitrates.length ? `
+                    <div class="audio-bitrate-option">
+                        <label for="audio-bitrate-${key}">🎵 Audio bitrate (MP3, M4A, Opus):</label>
+                        <select id="audio-bitrate-${key}" class="setting-select">
+                            ${audioBitrates.map(bitrate => `<option value="${bitrate}" ${bitrate === videoData.defaultAudioBitrate ? 'selected' : ''}>${bitrate} kbps</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                ${hasVideoFormats && compressTargetSizes.length ? `
+                    <div class="audio-bitrate-option">
+                        <label for="compress-size-${key}">🗜️ Fit video to size:</label>
+                        <select id="compress-size-${key}" class="setting-select">
+                            <option value="">Original size</option>
+                            ${compressTargetSizes.map(size => `<option value="${size}">${size} MB</option>`).join('')}
+                        </select>
+                        <input type="number" id="compress-size-custom-${key}" class="setting-select" min="1" max="4096" step="1" placeholder="Custom MB">
+                    </div>
+                ` : ''}
+            </div>
+
+            ${videoData.subtitles && videoData.subtitles.length ? `
+                <div class="subtitle-options">
+                    <h4>💬 Subtitles:</h4>
+                    <div class="subtitle-languages">
+                        ${videoData.subtitles.map(track => `
+                            <label class="enhancement-item">
+                                <input type="checkbox" class="subtitle-language" value="${this.escapeHtml(track.language)}">
+                                ${this.escapeHtml(track.name)}${track.automatic ? ' (auto)' : ''}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="clip-range">
+                        <select id="subtitle-mode-${key}" class="setting-select">
+                            <option value="file">Separate file</option>
+                            <option value="embed">Embed as track (MP4/MKV)</option>
+                            <option value="burn">Burn into video</option>
+                        </select>
+                        <select id="subtitle-format-${key}" class="setting-select">
+                            ${(videoData.subtitleFormats || ['srt']).map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+            ` : ''}
+
+            ${this.createWatermarkOptionsHtml(key, videoData.watermarkRemoval)}
+
+            <div class="clip-options">
+                <h4>✂️ Clip (optional):</h4>
+                <div class="clip-range">
+                    <input type="text" id="clip-start-${key}" class="setting-select" placeholder="Start (0:00)">
+                    <span>to</span>
+                    <input type="text" id="clip-end-${key}" class="setting-select" placeholder="End (${formatDuration(videoData.duration)})">
+                </div>
             </div>
 
             <div class="enhancement-options">
                 <h4>✨ Enhancement Options:</h4>
                 <div class="enhancement-grid">
                     <div class="enhancement-item">
-                        <input type="checkbox" id="enhance-upscale" ${this.settings.autoUpscale ? 'checked' : ''}>
-                        <label for="enhance-upscale">AI Upscaling</label>
+                        <input type="checkbox" id="enhance-upscale-${key}" ${this.settings.autoUpscale ? 'checked' : ''}>
+                        <label for="enhance-upscale-${key}">AI Upscaling</label>
                     </div>
                     <div class="enhancement-item">
-                        <input type="checkbox" id="enhance-noise" ${this.settings.autoNoise ? 'checked' : ''}>
-                        <label for="enhance-noise">Noise Reduction</label>
+                        <input type="checkbox" id="enhance-noise-${key}" ${this.settings.autoNoise ? 'checked' : ''}>
+                        <label for="enhance-noise-${key}">Noise Reduction</label>
                     </div>
                     <div class="enhancement-item">
-                        <input type="checkbox" id="enhance-color" ${this.settings.autoColor ? 'checked' : ''}>
-                        <label for="enhance-color">Color Correction</label>
+                        <input type="checkbox" id="enhance-color-${key}" ${this.settings.autoColor ? 'checked' : ''}>
+                        <label for="enhance-color-${key}">Color Correction</label>
                     </div>
                 </div>
+                <div class="clip-range upscale-options">
+                    <label for="enhance-preset-${key}">Preset:</label>
+                    <select id="enhance-preset-${key}" class="setting-select">
+                        <option value="none">None</option>
+                        ${this.getEnhancementPresets().map(preset => `<option value="${preset.id}" ${preset.id === this.settings.enhancementPreset ? 'selected' : ''}>${preset.custom ? '⭐ ' : ''}${preset.label}</option>`).join('')}
+                    </select>
+                </div>
+                ${this.createUpscaleOptionsHtml(key, videoData.enhancementOptions)}
+                ${this.createAudioEnhancementsHtml(key, videoData.enhancementOptions)}
             </div>
 
             <p><strong>Which quality would you prefer?</strong></p>
@@ -462,25 +701,589 @@ What video would you like to download today?`,
         return html;
     }
 
-    async startDownload(title, quality, format, formatId) {
+    // source is { file, name } for a local file or { downloadId, name } for a finished download
+    showConvertOptions(source) {
+        const key = this.generateId();
+        this.convertSources.set(key, source);
+
+        this.addMessage({
+            type: 'assistant',
+            content: this.createConvertOptionsHtml(source, key),
+            html: true,
+            timestamp: new Date()
+        });
+
+        setTimeout(() => {
+            const container = document.getElementById(`convert-${key}`);
+            if (!container) return;
+
+            container.querySelector('.convert-btn').addEventListener('click', () => this.startConversion(key, container));
+        }, 100);
+    }
+
+    createConvertOptionsHtml(source, key) {
+        const videoFormats = ['mp4', 'mkv', 'webm', 'mov'];
+        const audioFormats = { mp3: 'MP3', m4a: 'M4A (AAC)', opus: 'Opus', flac: 'FLAC', wav: 'WAV' };
+        const isAudioSource = source.file ? source.file.type.startsWith('audio/') : false;
+
+        return `
+            <div class="video-info convert-options" id="convert-${key}">
+                <h3>🔄 Convert: ${this.escapeHtml(source.name)}</h3>
+                <div class="clip-range">
+                    <label>Output:</label>
+                    <select class="setting-select convert-format">
+                        <optgroup label="Video">
+                            ${videoFormats.map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('')}
+                        </optgroup>
+                        <optgroup label="Audio">
+                            ${Object.entries(audioFormats).map(([format, label]) => `<option value="${format}" data-audio="true" ${isAudioSource && format === 'mp3' ? 'selected' : ''}>${label}</option>`).join('')}
+                        </optgroup>
+                    </select>
+                    <select class="setting-select convert-bitrate" title="Audio bitrate">
+                        ${[96, 128, 192, 256, 320].map(bitrate => `<option value="${bitrate}" ${bitrate === 192 ? 'selected' : ''}>${bitrate} kbps</option>`).join('')}
+                    </select>
+                    <select class="setting-select convert-compress" title="Compression (video only)">
+                        <option value="none">No compression</option>
+                        <option value="light">Light compression</option>
+                        <option value="medium">Medium compression</option>
+                        <option value="strong">Strong compression</option>
+                        <optgroup label="Fit to size">
+                            ${[8, 10, 25, 50, 100].map(size => `<option value="size:${size}">Fit ${size} MB</option>`).join('')}
+                        </optgroup>
+                    </select>
+                </div>
+                <div class="clip-range">
+                    <label>✂️ Trim:</label>
+                    <input type="text" class="setting-select convert-start" placeholder="Start (0:00)">
+                    <span>to</span>
+                    <input type="text" class="setting-select convert-end" placeholder="End">
+                </div>
+                <div class="clip-range upscale-options">
+                    <label>✨ Preset:</label>
+                    <select class="setting-select convert-preset">
+                        <option value="none">None</option>
+                        ${this.getEnhancementPresets().map(preset => `<option value="${preset.id}">${preset.custom ? '⭐ ' : ''}${preset.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="progress-controls">
+                    <button class="download-btn convert-btn">🔄 Convert</button>
+                </div>
+            </div>
+        `;
+    }
+
+    convertDownload(downloadId, name) {
+        this.showConvertOptions({ downloadId, name });
+    }
+
+    async startConversion(key, container) {
+        const source = this.convertSources.get(key);
+        if (!source) return;
+
+        const formatOption = container.querySelector('.convert-format').selectedOptions[0];
+        const quality = formatOption.dataset.audio ? 'Audio Only' : 'Original';
+        const clipStart = container.querySelector('.convert-start').value.trim();
+        const clipEnd = container.querySelector('.convert-end').value.trim();
+        const compress = container.querySelector('.convert-compress').value;
+
+        const options = {
+            quality,
+            format: formatOption.value,
+            audioBitrate: parseInt(container.querySelector('.convert-bitrate').value, 10),
+            clip: clipStart || clipEnd ? { start: clipStart || null, end: clipEnd || null } : undefined,
+            compress: quality === 'Audio Only' || compress === 'none' ? undefined
+                : compress.startsWith('size:') ? { targetSize: parseFloat(compress.slice(5)) } : compress,
+            enhancements: this.getPresetRequest(container.querySelector('.convert-preset').value, quality),
+            filenameTemplate: this.settings.filenameTemplate,
+            sessionId: this.getSessionId(),
+            socketId: this.socket.id
+        };
+
+        const button = container.querySelector('.convert-btn');
+        button.disabled = true;
+        this.updateStatus(source.file ? 'Uploading...' : 'Converting...');
+
+        try {
+            let request;
+            if (source.file) {
+                const body = new FormData();
+                body.append('file', source.file);
+                body.append('options', JSON.stringify(options));
+                request = { method: 'POST', body };
+            } else {
+                request = {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...options, downloadId: source.downloadId })
+                };
+            }
+
+            const response = await fetch('/api/convert', request);
+            const data = await response.json();
+
+            if (data.success) {
+                const label = quality === 'Audio Only' ? formatOption.textContent : formatOption.value.toUpperCase();
+                this.showDownloadProgress(data.downloadId, source.name, label);
+                this.activeDownloads.set(data.downloadId, {
+                    title: source.name,
+                    quality: label,
+                    format: formatOption.value,
+                    clip: options.clip,
+                    startTime: Date.now()
+                });
+                this.convertSources.delete(key);
+            } else {
+                this.showErrorMessage(data.error);
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error('Conversion request failed:', error);
+            this.showErrorMessage('Failed to start the conversion. Please try again.');
+            button.disabled = false;
+        }
+
+        this.updateStatus('Ready');
+    }
+
+    showPlaylistAnalysis(playlistData) {
+        const key = this.generateId();
+
+        this.addMessage({
+            type: 'assistant',
+            content: this.createPlaylistAnalysisHtml(playlistData, key),
+            html: true,
+            timestamp: new Date()
+        });
+
+        setTimeout(() => {
+            const container = document.getElementById(`playlist-${key}`);
+            if (!container) return;
+
+            const checkboxes = Array.from(container.querySelectorAll('.playlist-entry input[type="checkbox"]'));
+            const rangeInput = container.querySelector('.playlist-range');
+
+            container.querySelector('.playlist-select-all').addEventListener('change', (e) => {
+                checkboxes.forEach(checkbox => { checkbox.checked = e.target.checked; });
+            });
+
+            // Ranges like "1-10, 15" select those entries and clear the rest
+            rangeInput.addEventListener('change', () => {
+                const selected = this.parseEntryRange(rangeInput.value, checkboxes.length);
+                if (!selected) return;
+                checkboxes.forEach((checkbox, index) => { checkbox.checked = selected.has(index + 1); });
+            });
+
+            container.querySelector('.playlist-download-btn').addEventListener('click', () => {
+                const entries = checkboxes
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => playlistData.entries[Number(checkbox.dataset.index)]);
+                const [quality, format] = container.querySelector('.playlist-quality').value.split('|');
+                this.startBatchDownload(playlistData.title, entries, quality, format, container);
+            });
+        }, 100);
+    }
+
+    createPlaylistAnalysisHtml(playlistData, key) {
+        const formatDuration = (seconds) => {
+            if (!seconds) return '';
+            const mins = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            return `${mins}:${secs.toString().padStart(2, '0')}`;
+        };
+
+        return `
+            <div class="video-info playlist-info" id="playlist-${key}">
+                <div class="video-details">
+                    <h3>${playlistData.isChannel ? '📺' : '📃'} ${this.escapeHtml(playlistData.title || 'Untitled playlist')}</h3>
+                    <div class="video-meta">
+                        <strong>Platform:</strong> ${this.escapeHtml(playlistData.platform)} •
+                        <strong>Entries:</strong> ${playlistData.entryCount}
+                        ${playlistData.uploader ? ` • <strong>Uploader:</strong> ${this.escapeHtml(playlistData.uploader)}` : ''}
+                    </div>
+                    ${playlistData.truncated ? `<p class="playlist-note">Showing the first ${playlistData.entries.length} entries.</p>` : ''}
+                </div>
+
+                <div class="playlist-controls">
+                    <label><input type="checkbox" class="playlist-select-all" checked> Select all</label>
+                    <input type="text" class="playlist-range setting-select" placeholder="Range, e.g. 1-10, 15">
+                </div>
+
+                <div class="playlist-entries">
+                    ${playlistData.entries.map((entry, index) => `
+                        <label class="playlist-entry">
+                            <input type="checkbox" data-index="${index}" checked>
+                            <span class="playlist-entry-index">${entry.index}.</span>
+                            <span class="playlist-entry-title">${this.escapeHtml(entry.title)}</span>
+                            <span class="playlist-entry-duration">${formatDuration(entry.duration)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+
+                <div class="playlist-controls">
+                    <select class="playlist-quality setting-select">
+                        ${this.createBatchQualityOptionsHtml()}
+                    </select>
+                    <button class="download-btn playlist-download-btn">Download Selected</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // One quality applies to every item in a batch, since formats differ per video
+    createBatchQualityOptionsHtml() {
+        const qualities = [
+            ['Best', 'mp4', 'Best available (MP4)'],
+            ['1080p', 'mp4', '1080p (MP4)'],
+            ['720p', 'mp4', '720p (MP4)'],
+            ['480p', 'mp4', '480p (MP4)'],
+            ['Audio Only', 'mp3', 'Audio only (MP3)'],
+            ['Audio Only', 'm4a', 'Audio only (M4A)']
+        ];
+
+        return qualities
+            .map(([quality, format, label]) => `<option value="${quality}|${format}">${label}</option>`)
+            .join('');
+    }
+
+    showBulkAnalysis(results) {
+        const key = this.generateId();
+
+        // Playlists in the list contribute each of their entries
+        const items = [];
+        results.forEach(result => {
+            if (!result.success) {
+                items.push({ url: result.url, error: result.error });
+            } else if (result.playlistData) {
+                result.playlistData.entries.forEach(entry => {
+                    items.push({ ...entry, platform: result.playlistData.platform });
+                });
+            } else {
+                items.push({ ...result.videoData, url: result.url });
+            }
+        });
+
+        this.addMessage({
+            type: 'assistant',
+            content: this.createBulkAnalysisHtml(items, key),
+            html: true,
+            timestamp: new Date()
+        });
+
+        setTimeout(() => {
+            const container = document.getElementById(`bulk-${key}`);
+            if (!container) return;
+
+            const checkboxes = Array.from(container.querySelectorAll('.bulk-table tbody input[type="checkbox"]'));
+
+            container.querySelector('.playlist-select-all').addEventListener('change', (e) => {
+                checkboxes.forEach(checkbox => {
+                    if (!checkbox.disabled) checkbox.checked = e.target.checked;
+                });
+            });
+
+            container.querySelector('.playlist-download-btn').addEventListener('click', () => {
+                const entries = checkboxes
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => items[Number(checkbox.dataset.index)]);
+                const [quality, format] = container.querySelector('.playlist-quality').value.split('|');
+                this.startBatchDownload(`${entries.length} links`, entries, quality, format, container);
+            });
+        }, 100);
+    }
+
+    createBulkAnalysisHtml(items, key) {
+        const formatDuration = (seconds) => {
+            if (!seconds) return '';
+            const mins = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            return `${mins}:${secs.toString().padStart(2, '0')}`;
+        };
+
+        const failed = items.filter(item => item.error).length;
+
+        return `
+            <div class="video-info" id="bulk-${key}">
+                <h3>🔗 ${items.length - failed} of ${items.length} links ready</h3>
+
+                <div class="playlist-controls">
+                    <label><input type="checkbox" class="playlist-select-all" checked> Select all</label>
+                </div>
+
+                <div class="playlist-entries">
+                    <table class="bulk-table">
+                        <thead>
+                            <tr><th></th><th>Title</th><th>Platform</th><th>Duration</th></tr>
+                        </thead>
+                        <tbody>
+                            ${items.map((item, index) => item.error ? `
+                                <tr class="bulk-row-failed">
+                                    <td><input type="checkbox" disabled></td>
+                                    <td colspan="3">❌ ${this.escapeHtml(item.url)} — ${this.escapeHtml(item.error)}</td>
+                                </tr>
+                            ` : `
+                                <tr>
+                                    <td><input type="checkbox" data-index="${index}" checked></td>
+                                    <td class="playlist-entry-title">${this.escapeHtml(item.title)}</td>
+                                    <td>${this.escapeHtml(item.platform)}</td>
+                                    <td>${formatDuration(item.duration)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="playlist-controls">
+                    <select class="playlist-quality setting-select">
+                        ${this.createBatchQualityOptionsHtml()}
+                    </select>
+                    <button class="download-btn playlist-download-btn">Download Selected</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Returns the 1-based entry numbers in a range string, or null if it doesn't parse
+    parseEntryRange(value, count) {
+        const selected = new Set();
+        const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        for (const part of parts) {
+            const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) return null;
+
+            const start = Number(match[1]);
+            const end = Math.min(Number(match[2] || match[1]), count);
+            for (let i = start; i <= end; i++) {
+                selected.add(i);
+            }
+        }
+
+        return selected;
+    }
+
+    async startBatchDownload(title, entries, quality, format, container) {
+        if (entries.length === 0) {
+            this.showErrorMessage('Select at least one entry to download.');
+            return;
+        }
+
+        this.updateStatus('Downloading...');
+
+        try {
+            const response = await fetch('/api/batch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    entries: entries.map(entry => ({ url: entry.url, title: entry.title })),
+                    quality,
+                    format,
+                    filenameTemplate: this.settings.filenameTemplate,
+                    sessionId: this.getSessionId(),
+                    socketId: this.socket.id
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                container.querySelector('.playlist-download-btn').disabled = true;
+                this.activeBatches.set(data.batchId, { title, downloadIds: data.downloadIds });
+                this.showBatchProgress(data.batchId, title, entries.length);
+            } else {
+                this.showErrorMessage(data.error);
+                this.updateStatus('Ready');
+            }
+        } catch (error) {
+            console.error('Batch request failed:', error);
+            this.showErrorMessage('Failed to start batch download. Please try again.');
+            this.updateStatus('Ready');
+        }
+    }
+
+    showBatchProgress(batchId, title, total) {
+        const progressHtml = `
+            <div class="progress-container" id="batch-${batchId}">
+                <div class="progress-header">
+                    <div class="progress-title">⬇️ Downloading ${total} items: ${this.escapeHtml(title)}</div>
+                    <div class="progress-percentage">0%</div>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: 0%"></div>
+                </div>
+                <div class="progress-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Completed:</span>
+                        <span class="stat-value batch-completed">0 / ${total}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Failed:</span>
+                        <span class="stat-value batch-failed">0</span>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.addMessage({
+            type: 'assistant',
+            content: progressHtml,
+            html: true,
+            timestamp: new Date()
+        });
+    }
+
+    updateBatchProgress(data) {
+        const { batchId, total, completed, failed, progress, status, items } = data;
+        const batch = this.activeBatches.get(batchId);
+        const container = document.getElementById(`batch-${batchId}`);
+        if (!batch || !container) return;
+
+        container.querySelector('.progress-fill').style.width = `${progress}%`;
+        container.querySelector('.progress-percentage').textContent = `${progress}%`;
+        container.querySelector('.batch-completed').textContent = `${completed} / ${total}`;
+        container.querySelector('.batch-failed').textContent = failed;
+
+        if (status !== 'complete') return;
+
+        // Files stay on the server until the hourly cleanup, so list links instead of auto-downloading
+        const completeHtml = `
+            <div class="video-info">
+                <h3>${failed ? '⚠️' : '✅'} Batch Complete: ${this.escapeHtml(batch.title)}</h3>
+                <p>${completed} of ${total} downloaded${failed ? `, ${failed} failed` : ''}.</p>
+                <ul class="batch-results">
+                    ${items.map(item => item.downloadUrl
+                        ? `<li><a href="${this.escapeHtml(item.downloadUrl)}" download>${this.escapeHtml(item.title || item.downloadId)}</a></li>`
+                        : `<li class="batch-result-failed">❌ ${this.escapeHtml(item.title || item.downloadId)}</li>`).join('')}
+                </ul>
+            </div>
+            <p><strong>Ready for another download?</strong></p>
+        `;
+
+        this.addMessage({
+            type: 'assistant',
+            content: completeHtml,
+            html: true,
+            timestamp: new Date()
+        });
+
+        this.activeBatches.delete(batchId);
+        this.updateStatus('Ready');
+    }
+
+    createUpscaleOptionsHtml(key, enhancementOptions = {}) {
+        const upscalers = enhancementOptions.upscalers || [];
+        const targets = enhancementOptions.upscaleTargets || [];
+        if (!upscalers.length || !targets.length) return '';
+
+        return `
+            <div class="clip-range upscale-options">
+                <label for="upscale-method-${key}">Upscaler:</label>
+                <select id="upscale-method-${key}" class="setting-select">
+                    ${upscalers.map(upscaler => `<option value="${upscaler.id}" ${upscaler.available ? '' : 'disabled'}>${upscaler.label}${upscaler.available ? '' : ' (not installed)'}</option>`).join('')}
+                </select>
+                <label for="upscale-target-${key}">Target:</label>
+                <select id="upscale-target-${key}" class="setting-select">
+                    ${targets.map(height => `<option value="${height}" ${height === enhancementOptions.defaultUpscaleTarget ? 'selected' : ''}>${height}p</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    // Offered where the platform has a known watermark; the region is in percent of the frame
+    createWatermarkOptionsHtml(key, watermarkRemoval) {
+        if (!watermarkRemoval || !watermarkRemoval.defaultRegion) return '';
+        const region = watermarkRemoval.defaultRegion;
+
+        return `
+            <div class="watermark-options">
+                <h4>🚫 Watermark:</h4>
+                <label class="enhancement-item">
+                    <input type="checkbox" id="watermark-remove-${key}">
+                    Remove watermark${watermarkRemoval.cleanFormat ? ' (watermark-free version available)' : ''}
+                </label>
+                <div class="clip-range watermark-region">
+                    <select id="watermark-mode-${key}" class="setting-select">
+                        <option value="delogo">Blur over logo</option>
+                        <option value="crop">Crop out logo</option>
+                    </select>
+                    ${['x', 'y', 'width', 'height'].map(side => `
+                        <label>${side} %
+                            <input type="number" id="watermark-${side}-${key}" class="setting-select" min="0" max="100" value="${region[side]}">
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    createAudioEnhancementsHtml(key, enhancementOptions = {}) {
+        const audioFilters = Object.entries(enhancementOptions.filters || {})
+            .filter(([, filter]) => filter.type === 'audio');
+        if (audioFilters.length === 0) return '';
+
+        return `
+            <h4>🎧 Audio Enhancements:</h4>
+            <div class="enhancement-grid">
+                ${audioFilters.map(([name, filter]) => `
+                    <div class="enhancement-item">
+                        <input type="checkbox" class="audio-enhancement" id="enhance-audio-${name}-${key}" value="${name}" data-audio-only="${filter.audioOnly}">
+                        <label for="enhance-audio-${name}-${key}">${filter.label}${filter.audioOnly ? ' (audio downloads)' : ''}</label>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // card is the analysis message the clicked button belongs to; every option is read from it
+    async startDownload(card, url, { title, quality, format, formatId }) {
         console.log('Starting download:', { title, quality, format, formatId });
+        const field = id => card.querySelector(`#${id}-${card.dataset.key}`);
         const enhancements = {
-            aiUpscaling: document.getElementById('enhance-upscale')?.checked || false,
-            noiseReduction: document.getElementById('enhance-noise')?.checked || false,
-            colorCorrection: document.getElementById('enhance-color')?.checked || false
+            ...this.getPresetRequest(field('enhance-preset')?.value, quality),
+            aiUpscaling: field('enhance-upscale')?.checked || false,
+            upscaler: field('upscale-method')?.value,
+            targetHeight: parseInt(field('upscale-target')?.value, 10) || undefined,
+            noiseReduction: field('enhance-noise')?.checked || false,
+            colorCorrection: field('enhance-color')?.checked || false
         };
 
-        // Get the original URL from the last user message
-        const lastUserMessage = this.currentSession.messages
-            .filter(m => m.type === 'user')
-            .pop();
-        
-        if (!lastUserMessage) {
-            console.error('No user message found for download');
-            return;
+        // Checked audio filters run at default strength unless a custom preset already tunes them
+        const audioFilters = Array.from(card.querySelectorAll('.audio-enhancement:checked'))
+            .filter(checkbox => checkbox.dataset.audioOnly !== 'true' || quality === 'Audio Only')
+            .map(checkbox => checkbox.value);
+        if (audioFilters.length) {
+            enhancements.filters = { ...enhancements.filters };
+            audioFilters.forEach(name => {
+                if (!enhancements.filters[name]) enhancements.filters[name] = true;
+            });
         }
-        
-        console.log('Last user message URL:', lastUserMessage.content);
+
+        // Empty fields mean the start or end of the video
+        const clipStart = field('clip-start')?.value.trim();
+        const clipEnd = field('clip-end')?.value.trim();
+        const clip = clipStart || clipEnd ? { start: clipStart || null, end: clipEnd || null } : undefined;
+
+        const subtitleLanguages = Array.from(card.querySelectorAll('.subtitle-language:checked'))
+            .map(checkbox => checkbox.value);
+        const subtitles = subtitleLanguages.length ? {
+            languages: subtitleLanguages,
+            mode: field('subtitle-mode')?.value,
+            format: field('subtitle-format')?.value
+        } : undefined;
+
+        // A custom size wins over the picked one; either way the server runs a two-pass encode
+        const targetSize = parseFloat(field('compress-size-custom')?.value) ||
+            parseFloat(field('compress-size')?.value);
+        const compress = targetSize && quality !== 'Audio Only' ? { targetSize } : undefined;
+
+        const watermark = field('watermark-remove')?.checked && quality !== 'Audio Only' ? {
+            mode: field('watermark-mode').value,
+            region: Object.fromEntries(['x', 'y', 'width', 'height'].map(key => {
+                return [key, parseFloat(field(`watermark-${key}`).value)];
+            }))
+        } : undefined;
 
         this.updateStatus('Downloading...');
 
@@ -492,12 +1295,20 @@ What video would you like to download today?`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    url: lastUserMessage.content,
+                    url,
                     quality: quality,
                     format: format,
                     formatId: formatId,
+                    audioBitrate: parseInt(field('audio-bitrate')?.value, 10) || undefined,
                     enhancements: enhancements,
-                    userId: this.getUserId()
+                    clip: clip,
+                    subtitles: subtitles,
+                    watermark: watermark,
+                    compress: compress,
+                    filenameTemplate: this.settings.filenameTemplate,
+                    userId: this.getUserId(),
+                    sessionId: this.getSessionId(),
+                    socketId: this.socket.id
                 })
             });
 
@@ -510,6 +1321,7 @@ What video would you like to download today?`,
                     title,
                     quality,
                     format,
+                    clip,
                     startTime: Date.now()
                 });
             } else {
@@ -528,7 +1340,7 @@ What video would you like to download today?`,
         const progressHtml = `
             <div class="progress-container" id="progress-${downloadId}">
                 <div class="progress-header">
-                    <div class="progress-title">⬇️ Downloading: ${title} (${quality})</div>
+                    <div class="progress-title">⬇️ Downloading: ${this.escapeHtml(title)} (${quality})</div>
                     <div class="progress-percentage">0%</div>
                 </div>
                 <div class="progress-bar">
@@ -549,6 +1361,7 @@ What video would you like to download today?`,
                     </div>
                 </div>
                 <div class="progress-controls">
+                    <button class="control-btn" id="pause-${downloadId}" onclick="window.app.togglePauseDownload('${downloadId}')">Pause</button>
                     <button class="control-btn" onclick="window.app.cancelDownload('${downloadId}')">Cancel</button>
                 </div>
             </div>
@@ -564,7 +1377,7 @@ What video would you like to download today?`,
     }
 
     updateDownloadProgress(data) {
-        const { downloadId, progress, speed, eta, downloaded, total, status, stage } = data;
+        const { downloadId, progress, stageProgress, speed, eta, downloaded, total, status, stage } = data;
         
         const progressContainer = document.getElementById(`progress-${downloadId}`);
         if (!progressContainer) return;
@@ -584,72 +1397,53 @@ What video would you like to download today?`,
         const downloadedElement = document.getElementById(`downloaded-${downloadId}`);
 
         if (speedElement) speedElement.textContent = speed || '0 B/s';
-        if (etaElement) etaElement.textContent = eta ? `${eta}s` : '--';
-        if (downloadedElement) {
+        if (etaElement) etaElement.textContent = eta != null ? this.formatEta(eta) : '--';
+        // Enhancement and conversion events carry no sizes; keep the downloaded figure
+        if (downloadedElement && total) {
             const downloadedSize = this.formatFileSize(downloaded || 0);
             const totalSize = this.formatFileSize(total || 0);
             downloadedElement.textContent = `${downloadedSize} / ${totalSize}`;
         }
 
         // Update title with stage
+        const download = this.activeDownloads.get(downloadId);
         const titleElement = progressContainer.querySelector('.progress-title');
-        if (titleElement && stage) {
-            const download = this.activeDownloads.get(downloadId);
-            if (download) {
-                titleElement.textContent = `⬇️ ${stage}: ${download.title} (${download.quality})`;
-            }
+        if (titleElement && stage && download) {
+            const icons = { paused: '⏸️', queued: '⏳', enhancing: '✨', converting: '🎵' };
+            const icon = icons[status] || '⬇️';
+            const stagePercent = ['enhancing', 'converting'].includes(status) && stageProgress ? ` ${stageProgress}%` : '';
+            titleElement.textContent = `${icon} ${stage}${stagePercent}: ${download.title} (${download.quality})`;
         }
-    }
 
-    handleDownloadComplete(data) {
-        const { downloadId, fileName, fileSize, processingTime } = data;
-        const download = this.activeDownloads.get(downloadId);
-        
-        if (!download) return;
-
-        const completeHtml = `
-            <div class="video-info">
-                <h3>✅ Download Complete!</h3>
-                <div class="video-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">File:</span>
-                        <span class="stat-value">${fileName}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Size:</span>
-                        <span class="stat-value">${this.formatFileSize(fileSize)}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Quality:</span>
-                        <span class="stat-value">${download.quality}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Time:</span>
-                        <span class="stat-value">${Math.round(processingTime / 1000)}s</span>
-                    </div>
-                </div>
-                <div class="progress-controls">
-                    <button class="download-btn" onclick="window.app.openFile('${fileName}')">📱 Open File</button>
-                    <button class="download-btn" onclick="window.app.shareFile('${fileName}')">📤 Share</button>
-                    <button class="control-btn" onclick="window.app.deleteFile('${fileName}')">🗑️ Delete</button>
-                </div>
-            </div>
-            <p><strong>Ready for another download?</strong></p>
-        `;
+        // Keep the pause button in sync with the server state
+        const pauseButton = document.getElementById(`pause-${downloadId}`);
+        if (pauseButton && status) {
+            pauseButton.textContent = status === 'paused' ? 'Resume' : 'Pause';
+            pauseButton.style.display = ['paused', 'downloading', 'queued'].includes(status) ? '' : 'none';
+        }
+        if (download && status) {
+            download.status = status;
+        }
+    }
 
-        this.addMessage({
-            type: 'assistant',
-            content: completeHtml,
-            html: true,
-            timestamp: new Date()
-        });
+    // Titles, uploaders and track names come from third-party sites
+    escapeHtml(text) {
+        return ChatManager.escapeHtml(text);
+    }
 
-        this.activeDownloads.delete(downloadId);
-        this.updateStatus('Ready');
+    formatEta(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
     }
 
     handleDownloadError(data) {
         const { downloadId, error } = data;
+
+        // Batch items report failures in the batch summary instead
+        const inBatch = Array.from(this.activeBatches.values())
+            .some(batch => batch.downloadIds.includes(downloadId));
+        if (inBatch) return;
         
         const errorHtml = `
             <div class="video-info">
@@ -811,7 +1605,7 @@ Just paste any video URL and I'll let you know if it's supported!`;
 • **1080p HD** - Full HD, recommended for most uses
 • **720p HD** - Good quality, smaller file size
 • **480p** - Standard definition, mobile-friendly
-• **Audio Only** - MP3 format, smallest file size
+• **Audio Only** - MP3, M4A, Opus, FLAC or WAV at your chosen bitrate
 
 **Enhancement Features:**
 • **AI Upscaling** - Improve resolution using AI
@@ -846,6 +1640,28 @@ The best quality available depends on the source video. I'll always show you all
         return userId;
     }
 
+    getSessionId() {
+        // Per-tab anonymous session; survives reloads so downloads can be followed again.
+        // It is all that guards this tab's jobs, so it must be a random UUID
+        let sessionId = sessionStorage.getItem('vidharvest_session_id');
+        if (!sessionId || !/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+            sessionId = this.generateSessionId();
+            sessionStorage.setItem('vidharvest_session_id', sessionId);
+        }
+        return sessionId;
+    }
+
+    generateSessionId() {
+        // crypto.randomUUID needs a secure context; plain HTTP on a LAN only has getRandomValues
+        if (crypto.randomUUID) return crypto.randomUUID();
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
     // Settings Management
     loadSettings() {
         const defaultSettings = {
@@ -853,6 +1669,9 @@ The best quality available depends on the source video. I'll always show you all
             autoUpscale: false,
             autoNoise: false,
             autoColor: false,
+            keepOnServer: false,
+            filenameTemplate: '{title}',
+            enhancementPreset: 'none',
             theme: 'light'
         };
 
@@ -866,12 +1685,153 @@ The best quality available depends on the source video. I'll always show you all
             autoUpscale: this.autoUpscale.checked,
             autoNoise: this.autoNoise.checked,
             autoColor: this.autoColor.checked,
+            keepOnServer: this.keepOnServer.checked,
+            filenameTemplate: this.filenameTemplate.value.trim() || '{title}',
+            enhancementPreset: this.enhancementPreset.value || 'none',
             theme: document.documentElement.getAttribute('data-theme') || 'light'
         };
 
         localStorage.setItem('vidharvest_settings', JSON.stringify(this.settings));
     }
 
+    // Enhancement presets: built-ins come from the server, custom ones live in localStorage
+    async loadEnhancementSpec() {
+        try {
+            const response = await fetch('/api/enhancements');
+            const data = await response.json();
+            if (data.success) {
+                this.enhancementSpec = data;
+            }
+        } catch (error) {
+            console.error('Failed to load enhancement presets:', error);
+        }
+    }
+
+    loadCustomPresets() {
+        const saved = localStorage.getItem('vidharvest_enhancement_presets');
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    saveCustomPresets() {
+        localStorage.setItem('vidharvest_enhancement_presets', JSON.stringify(this.customPresets));
+    }
+
+    getEnhancementPresets() {
+        const builtIn = this.enhancementSpec ? this.enhancementSpec.presets : [];
+        return [...builtIn, ...this.customPresets.map(preset => ({ ...preset, custom: true }))];
+    }
+
+    populatePresetSelect(select, selectedId) {
+        const presets = this.getEnhancementPresets();
+        select.innerHTML = `
+            <option value="none">None</option>
+            ${presets.map(preset => `<option value="${preset.id}">${preset.custom ? '⭐ ' : ''}${preset.label}</option>`).join('')}
+        `;
+        select.value = presets.some(preset => preset.id === selectedId) ? selectedId : 'none';
+    }
+
+    // Built-in presets go to the server by ID; custom ones are sent as their filters.
+    // Audio-only filters such as silence trimming are left out when the result keeps its video
+    getPresetRequest(presetId, quality) {
+        const preset = this.getEnhancementPresets().find(candidate => candidate.id === presetId);
+        if (!preset) return {};
+        if (!preset.custom) return { preset: preset.id };
+
+        const specs = this.enhancementSpec ? this.enhancementSpec.filters : {};
+        const filters = Object.fromEntries(Object.entries(preset.filters)
+            .filter(([name]) => quality === 'Audio Only' || !(specs[name] && specs[name].audioOnly)));
+        return { filters };
+    }
+
+    renderPresetEditor() {
+        if (!this.enhancementSpec) {
+            this.presetFilterEditor.innerHTML = '';
+            return;
+        }
+
+        const preset = this.getEnhancementPresets().find(candidate => candidate.id === this.enhancementPreset.value);
+        this.presetDraft = JSON.parse(JSON.stringify(preset ? preset.filters : {}));
+        this.customPresetName.value = preset && preset.custom ? preset.label : '';
+
+        this.presetFilterEditor.innerHTML = Object.entries(this.enhancementSpec.filters).map(([name, filter]) => `
+            <div class="preset-filter">
+                <label class="preset-filter-toggle">
+                    <input type="checkbox" data-filter="${name}" ${this.presetDraft[name] ? 'checked' : ''}>
+                    ${filter.label}
+                </label>
+                ${Object.entries(filter.params).map(([param, range]) => {
+                    const value = this.presetDraft[name] ? this.presetDraft[name][param] : range.default;
+                    return `
+                        <div class="preset-param">
+                            <span>${range.label}</span>
+                            <input type="range" data-filter="${name}" data-param="${param}" min="${range.min}" max="${range.max}" step="${range.step}" value="${value}">
+                            <span class="preset-param-value">${value}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+
+        this.presetFilterEditor.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const { filter } = checkbox.dataset;
+                if (checkbox.checked) {
+                    const params = {};
+                    this.presetFilterEditor.querySelectorAll(`input[type="range"][data-filter="${filter}"]`)
+                        .forEach(input => { params[input.dataset.param] = Number(input.value); });
+                    this.presetDraft[filter] = params;
+                } else {
+                    delete this.presetDraft[filter];
+                }
+            });
+        });
+
+        this.presetFilterEditor.querySelectorAll('input[type="range"]').forEach(input => {
+            input.addEventListener('input', () => {
+                const { filter, param } = input.dataset;
+                input.nextElementSibling.textContent = input.value;
+                if (this.presetDraft[filter]) {
+                    this.presetDraft[filter][param] = Number(input.value);
+                }
+            });
+        });
+    }
+
+    saveCustomPreset() {
+        const label = this.customPresetName.value.trim();
+        if (!label) {
+            alert('Give the preset a name first.');
+            return;
+        }
+
+        // Saving under an existing custom name updates that preset
+        const id = `custom-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        const preset = { id, label, filters: this.presetDraft };
+        const index = this.customPresets.findIndex(candidate => candidate.id === id);
+        if (index === -1) {
+            this.customPresets.push(preset);
+        } else {
+            this.customPresets[index] = preset;
+        }
+        this.saveCustomPresets();
+
+        this.populatePresetSelect(this.enhancementPreset, id);
+        this.saveSettings();
+        this.renderPresetEditor();
+    }
+
+    deleteCustomPreset() {
+        const id = this.enhancementPreset.value;
+        if (!this.customPresets.some(preset => preset.id === id)) return;
+
+        this.customPresets = this.customPresets.filter(preset => preset.id !== id);
+        this.saveCustomPresets();
+
+        this.populatePresetSelect(this.enhancementPreset, 'none');
+        this.saveSettings();
+        this.renderPresetEditor();
+    }
+
     loadTheme() {
         document.documentElement.setAttribute('data-theme', this.settings.theme);
     }
@@ -885,9 +1845,102 @@ The best quality available depends on the source video. I'll always show you all
         this.saveSettings();
     }
 
-    // Chat History Management
+    // Accounts: only used when the server runs with AUTH_MODE=local
+    installAuthFetch() {
+        const fetch = window.fetch.bind(window);
+
+        // Every /api request carries the session id, which scopes jobs without accounts,
+        // and the sign-in token; a 401 asks to sign in again
+        window.fetch = (resource, options = {}) => {
+            const url = typeof resource === 'string' ? resource : resource.url;
+            if (!url.startsWith('/api/')) return fetch(resource, options);
+
+            const headers = new Headers(options.headers || {});
+            headers.set('X-Session-Id', this.getSessionId());
+            if (this.authToken) headers.set('Authorization', `Bearer ${this.authToken}`);
+            return fetch(resource, { ...options, headers }).then(response => {
+                if (response.status === 401 && !url.startsWith('/api/auth/')) this.showLoginModal();
+                return response;
+            });
+        };
+    }
+
+    async checkAuth() {
+        try {
+            const response = await fetch('/api/auth/me');
+            const data = await response.json();
+            this.setUser(data.user);
+            if (data.authRequired && !data.user) this.showLoginModal();
+        } catch (error) {
+            console.error('Failed to check sign-in:', error);
+        }
+    }
+
+    setUser(user) {
+        this.user = user;
+        this.accountBtn.style.display = user ? '' : 'none';
+        this.accountBtn.title = user ? `Sign out ${user.username}` : 'Sign out';
+        this.loadChatHistory();
+    }
+
+    showLoginModal() {
+        this.loginModal.classList.add('show');
+        document.getElementById('loginUsername').focus();
+    }
+
+    async login(e) {
+        e.preventDefault();
+        this.loginError.textContent = '';
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value.trim(),
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                this.loginError.textContent = data.error;
+                return;
+            }
+
+            this.authToken = data.token;
+            localStorage.setItem('vidharvest_auth_token', data.token);
+            document.getElementById('loginPassword').value = '';
+            this.loginModal.classList.remove('show');
+            this.setUser(data.user);
+
+            // Reconnect so the socket joins the user's room
+            this.socket.auth.token = data.token;
+            this.socket.disconnect().connect();
+        } catch (error) {
+            this.loginError.textContent = 'Sign-in failed, please try again';
+        }
+    }
+
+    async logout() {
+        if (!this.user || !confirm(`Sign out ${this.user.username}?`)) return;
+
+        await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        this.authToken = null;
+        localStorage.removeItem('vidharvest_auth_token');
+        this.socket.auth.token = null;
+        this.socket.disconnect();
+        this.setUser(null);
+        this.startNewChat();
+        this.showLoginModal();
+    }
+
+    // Chat History Management. Signed-in users each keep their own history in this browser
+    chatHistoryKey() {
+        return this.user ? `vidharvest_chat_history_${this.user.username}` : 'vidharvest_chat_history';
+    }
+
     loadChatHistory() {
-        const saved = localStorage.getItem('vidharvest_chat_history');
+        const saved = localStorage.getItem(this.chatHistoryKey());
         this.chatHistory = saved ? JSON.parse(saved) : [];
         this.updateHistoryBadge();
     }
@@ -905,7 +1958,7 @@ The best quality available depends on the source video. I'll always show you all
             // Keep only last 50 sessions
             this.chatHistory = this.chatHistory.slice(0, 50);
             
-            localStorage.setItem('vidharvest_chat_history', JSON.stringify(this.chatHistory));
+            localStorage.setItem(this.chatHistoryKey(), JSON.stringify(this.chatHistory));
             this.updateHistoryBadge();
         }
     }
@@ -971,6 +2024,10 @@ The best quality available depends on the source video. I'll always show you all
         this.autoUpscale.checked = this.settings.autoUpscale;
         this.autoNoise.checked = this.settings.autoNoise;
         this.autoColor.checked = this.settings.autoColor;
+        this.keepOnServer.checked = this.settings.keepOnServer;
+        this.filenameTemplate.value = this.settings.filenameTemplate;
+        this.populatePresetSelect(this.enhancementPreset, this.settings.enhancementPreset);
+        this.renderPresetEditor();
         
         // Initialize settings tabs
         this.initializeSettingsTabs();
@@ -1036,10 +2093,10 @@ The best quality available depends on the source video. I'll always show you all
         }
     }
 
-    async deleteFile(fileName) {
+    async deleteFile(fileUrl, fileName) {
         if (confirm(`Are you sure you want to delete ${fileName}?`)) {
             try {
-                const response = await fetch(`/api/downloads/${fileName}`, {
+                const response = await fetch(fileUrl, {
                     method: 'DELETE'
                 });
                 
@@ -1067,6 +2124,28 @@ The best quality available depends on the source video. I'll always show you all
             .catch(error => console.error('Pause request failed:', error));
     }
 
+    resumeDownload(downloadId) {
+        fetch(`/api/download/${downloadId}/resume`, { method: 'POST' })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    console.log('Download resumed:', downloadId);
+                } else {
+                    console.error('Failed to resume download:', data.error);
+                }
+            })
+            .catch(error => console.error('Resume request failed:', error));
+    }
+
+    togglePauseDownload(downloadId) {
+        const download = this.activeDownloads.get(downloadId);
+        if (download && download.status === 'paused') {
+            this.resumeDownload(downloadId);
+        } else {
+            this.pauseDownload(downloadId);
+        }
+    }
+
     cancelDownload(downloadId) {
         if (confirm('Are you sure you want to cancel this download?')) {
             fetch(`/api/download/${downloadId}/cancel`, { method: 'POST' })
@@ -1092,31 +2171,52 @@ The best quality available depends on the source video. I'll always show you all
     }
 
     handleDownloadReady(data) {
-        const { downloadId, downloadUrl } = data;
+        const { downloadId, downloadUrl, downloadName, fileSize, targetSize, subtitles = [] } = data;
         const download = this.activeDownloads.get(downloadId);
         
         if (!download) return;
 
+        // Subtitle files are fetched before any cleanup below removes them from the server
+        subtitles.forEach((track, index) => {
+            setTimeout(() => {
+                const link = document.createElement('a');
+                link.href = track.downloadUrl;
+                link.download = ''; // Named by the server from the filename template
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+            }, (index + 1) * 500);
+        });
+
         // Trigger browser download
         const a = document.createElement('a');
         a.href = downloadUrl;
-        a.download = `${download.title.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_')}.${download.quality === 'Audio Only' ? 'mp3' : 'mp4'}`;
+        a.download = downloadName || '';
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
 
-        // Delete server file after successful download
-        setTimeout(() => {
-            fetch(`/api/cleanup/${downloadId}`, { method: 'DELETE' })
-                .catch(err => console.log('Cleanup failed:', err));
-        }, 5000); // 5 second delay to ensure download completes
+        // Unless Settings keeps files for converting, the server copy is deleted once the
+        // browser has it; kept files go with the Delete button or the hourly cleanup
+        const keepOnServer = this.settings.keepOnServer;
+        if (!keepOnServer) {
+            setTimeout(() => {
+                fetch(`/api/cleanup/${downloadId}`, { method: 'DELETE' })
+                    .catch(err => console.log('Cleanup failed:', err));
+            }, 5000); // 5 second delay to ensure download completes
+        }
 
-        // Show completion message
         const completeHtml = `
             <div class="video-info">
                 <h3>✅ Download Complete!</h3>
-                <p><strong>File:</strong> ${download.title} (${download.quality})</p>
-                <p>The file has been downloaded to your device.</p>
+                <p><strong>File:</strong> ${this.escapeHtml(downloadName || download.title)} (${download.quality})</p>
+                <p><strong>Size:</strong> ${this.formatFileSize(fileSize)}${targetSize ? ` (target ${targetSize} MB)` : ''}</p>
+                ${subtitles.length ? `<p><strong>Subtitles:</strong> ${subtitles.map(track => this.escapeHtml(`${track.language}.${track.format}`)).join(', ')}</p>` : ''}
+                <p>The file has been downloaded to your device${keepOnServer ? ' and kept on the server for up to 2 hours' : ' and removed from the server'}.</p>
+                ${keepOnServer ? `<div class="progress-controls">
+                    <button class="download-btn" data-name="${this.escapeHtml(download.title)}" onclick="window.app.convertDownload('${downloadId}', this.dataset.name)">🔄 Convert</button>
+                    <button class="control-btn" data-name="${this.escapeHtml(downloadName || download.title)}" onclick="window.app.deleteFile('${downloadUrl}', this.dataset.name)">🗑️ Delete</button>
+                </div>` : ''}
             </div>
             <p><strong>Ready for another download?</strong></p>
         `;
@@ -1140,7 +2240,7 @@ The best quality available depends on the source video. I'll always show you all
     clearChatHistory() {
         if (confirm('Are you sure you want to clear all chat history? This cannot be undone.')) {
             this.chatHistory = [];
-            localStorage.removeItem('vidharvest_chat_history');
+            localStorage.removeItem(this.chatHistoryKey());
             this.updateHistoryBadge();
             this.populateHistoryModal();
             alert('Chat history cleared successfully!');
@@ -194,9 +194,14 @@ class ChatManager {
     }
 
     escapeHtml(text) {
+        return ChatManager.escapeHtml(text);
+    }
+
+    // Also escapes quotes, so the result is safe inside attribute values
+    static escapeHtml(text) {
         const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Message search functionality
@@ -134,7 +134,10 @@ class DownloadManager {
                     quality,
                     format,
                     enhancements,
+                    filenameTemplate: this.app.settings.filenameTemplate,
                     userId: this.app.getUserId(),
+                    sessionId: this.app.getSessionId(),
+                    socketId: this.app.socket.id,
                     downloadId: id
                 })
             });
@@ -229,7 +232,7 @@ class DownloadManager {
 
     // Download Completion
     async handleDownloadComplete(data) {
-        const { downloadId, fileName, fileSize, processingTime } = data;
+        const { downloadId, fileName, fileUrl, fileSize, processingTime } = data;
         const download = this.downloads.get(downloadId);
         
         if (!download) return;
@@ -237,6 +240,7 @@ class DownloadManager {
         // Update download record
         download.status = 'completed';
         download.fileName = fileName;
+        download.fileUrl = fileUrl;
         download.fileSize = fileSize;
         download.completedAt = Date.now();
         download.processingTime = processingTime;
@@ -302,10 +306,10 @@ class DownloadManager {
                 ` : ''}
                 
                 <div class="progress-controls">
-                    <button class="download-btn" onclick="downloadManager.downloadFile('${download.fileName}', '${this.detectPlatform(download.url) || 'YouTube'}')">📎 Download File</button>
+                    <button class="download-btn" onclick="downloadManager.downloadFile('${download.fileUrl}', '${download.fileName}')">📎 Download File</button>
                     <button class="download-btn" onclick="downloadManager.shareFile('${download.fileName}')">📤 Share</button>
                     <button class="download-btn" onclick="downloadManager.showFileInfo('${download.id}')">ℹ️ Info</button>
-                    <button class="control-btn" onclick="downloadManager.deleteFile('${download.fileName}')">🗑️ Delete</button>
+                    <button class="control-btn" onclick="downloadManager.deleteFile('${download.fileUrl}', '${download.fileName}')">🗑️ Delete</button>
                 </div>
             </div>
             <p><strong>Ready for another download?</strong></p>
@@ -501,12 +505,11 @@ class DownloadManager {
         }
     }
 
-    // File Management
-    async downloadFile(fileName, platform) {
+    // File Management. fileUrl is the signed link the server sent with download_complete
+    async downloadFile(fileUrl, fileName) {
         try {
-            const url = `/api/downloads/file/${encodeURIComponent(platform)}/${encodeURIComponent(fileName)}`;
             const a = document.createElement('a');
-            a.href = url;
+            a.href = fileUrl;
             a.download = fileName;
             document.body.appendChild(a);
             a.click();
@@ -517,10 +520,9 @@ class DownloadManager {
         }
     }
 
-    async openFile(fileName) {
+    async openFile(fileUrl, fileName) {
         // Redirect to downloadFile for web compatibility
-        const platform = 'YouTube'; // Default platform
-        this.downloadFile(fileName, platform);
+        this.downloadFile(fileUrl, fileName);
     }
 
     async shareFile(fileName) {
@@ -542,10 +544,10 @@ class DownloadManager {
         }
     }
 
-    async deleteFile(fileName) {
+    async deleteFile(fileUrl, fileName) {
         if (confirm(`Are you sure you want to delete "${fileName}"?`)) {
             try {
-                const response = await fetch(`/api/downloads/${encodeURIComponent(fileName)}`, {
+                const response = await fetch(fileUrl, {
                     method: 'DELETE'
                 });
                 
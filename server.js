@@ -6,9 +6,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const youtubedl = require('youtube-dl-exec');
 const ffmpeg = require('fluent-ffmpeg');
+const multer = require('multer');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 ffmpeg.setFfmpegPath(ffmpegPath);
 const { v4: uuidv4 } = require('uuid');
@@ -16,6 +19,20 @@ const cron = require('node-cron');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const { getAIResponse } = require('./ai-responses');
+const { JobStore, JOB_STATUSES } = require('./job-store');
+const { TaskQueue } = require('./task-queue');
+const { createFileTokens } = require('./file-tokens');
+const { UserStore } = require('./user-store');
+const { openApiDocument } = require('./openapi');
+const { createUpscalers, probeVideo, UPSCALE_TARGETS, DEFAULT_UPSCALE_TARGET } = require('./upscalers');
+const {
+  resolvePreset,
+  buildFilterChain,
+  audioOnlyFilters,
+  describeEnhancements,
+  buildWatermarkFilter,
+  escapeFilterPath
+} = require('./enhancements');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,8 +47,23 @@ const io = socketIo(server, {
 
 // IP anonymization handled in middleware
 
+// Set when the app is only reachable through a proxy that appends the client address
+// to X-Forwarded-For, like the bundled nginx
+const TRUST_PROXY = process.env.TRUST_PROXY === '1' || process.env.TRUST_PROXY === 'true';
+const CLIENT_KEY_SALT = crypto.randomBytes(16);
+
+// A salted hash of the client address, kept in memory only, so failed sign-ins can be
+// counted per client without storing where anyone connects from
+function clientKey(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  const address = forwarded ? forwarded.split(',').pop().trim() : req.socket.remoteAddress;
+  return crypto.createHmac('sha256', CLIENT_KEY_SALT).update(String(address)).digest('hex');
+}
+
 // Privacy and security middleware
 app.use((req, res, next) => {
+  req.clientKey = clientKey(req);
+
   // Remove/anonymize IP addresses
   req.ip = 'anonymous';
   req.ips = [];
@@ -109,6 +141,230 @@ app.use(express.static('public', {
 const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
 fs.ensureDirSync(DOWNLOADS_DIR);
 
+// Absolute path of a file under DOWNLOADS_DIR, or null when the segments lead outside it
+function resolveDownloadPath(...segments) {
+  const resolved = path.resolve(DOWNLOADS_DIR, ...segments);
+  return resolved.startsWith(DOWNLOADS_DIR + path.sep) ? resolved : null;
+}
+
+// Files are only handed out through signed links. Without FILE_TOKEN_SECRET a secret is
+// generated once and kept next to the job journal, so links survive restarts
+const FILE_TOKEN_SECRET_PATH = path.join(DOWNLOADS_DIR, '.file-token-secret');
+if (!process.env.FILE_TOKEN_SECRET && !fs.existsSync(FILE_TOKEN_SECRET_PATH)) {
+  fs.writeFileSync(FILE_TOKEN_SECRET_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+}
+const fileTokens = createFileTokens({
+  secret: process.env.FILE_TOKEN_SECRET || fs.readFileSync(FILE_TOKEN_SECRET_PATH, 'utf8').trim(),
+  ttl: (parseInt(process.env.FILE_TOKEN_TTL_MINUTES, 10) || 120) * 60 * 1000
+});
+
+// Signed link to one of a job's files: its output by default, or a subtitle file
+function fileUrl(job, file = job.filename) {
+  return `/api/files/${fileTokens.sign(job.id, file)}`;
+}
+
+// Optional accounts. AUTH_MODE=none (the default) keeps every route open and anonymous;
+// AUTH_MODE=local needs a session token or API key as a bearer token on /api and in the
+// Socket.IO handshake, and scopes jobs, files and quotas to the user
+const AUTH_MODE = process.env.AUTH_MODE === 'local' ? 'local' : 'none';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_QUOTA_MB = parseInt(process.env.AUTH_DEFAULT_QUOTA_MB, 10) || 0;
+const MAX_API_KEY_NAME_LENGTH = 64;
+
+const userStore = new UserStore(path.join(DOWNLOADS_DIR, '.users.json'), {
+  sessionTtl: (parseInt(process.env.AUTH_SESSION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+}).load();
+
+// The first admin comes from the environment; more users are added through /api/users
+if (AUTH_MODE === 'local' && process.env.AUTH_ADMIN_USERNAME && process.env.AUTH_ADMIN_PASSWORD &&
+  !userStore.get(process.env.AUTH_ADMIN_USERNAME)) {
+  userStore.create({
+    username: process.env.AUTH_ADMIN_USERNAME,
+    password: process.env.AUTH_ADMIN_PASSWORD,
+    admin: true
+  }).catch(error => console.error('Failed to create the admin account:', error));
+}
+
+// Failed sign-ins are counted per username and client, so someone guessing can't lock
+// the account's owner out. After LOGIN_MAX_FAILURES that client is refused until the
+// window has passed
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+const loginFailures = new Map();
+
+// Milliseconds until this username and client may try passwords again, 0 when they may now
+function loginLockout(key) {
+  const entry = loginFailures.get(key);
+  if (!entry) return 0;
+  if (entry.resetAt <= Date.now()) {
+    loginFailures.delete(key);
+    return 0;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES ? entry.resetAt - Date.now() : 0;
+}
+
+function recordLoginFailure(key) {
+  const now = Date.now();
+  // Keys come from the request, so stale entries are dropped to bound the map
+  if (loginFailures.size > 10000) {
+    loginFailures.forEach((entry, key) => {
+      if (entry.resetAt <= now) loginFailures.delete(key);
+    });
+  }
+
+  const entry = loginFailures.get(key);
+  if (entry && entry.resetAt > now) {
+    entry.count += 1;
+  } else {
+    loginFailures.set(key, { count: 1, resetAt: now + LOGIN_FAILURE_WINDOW });
+  }
+}
+
+// Checks a password against the failure limit. Responds and returns null when it doesn't pass
+async function checkPassword(req, res, username, password, wrongMessage) {
+  const key = `${username}\n${req.clientKey}`;
+  const lockout = loginLockout(key);
+  if (lockout > 0) {
+    res.set('Retry-After', Math.ceil(lockout / 1000));
+    res.status(429).json({ success: false, error: 'Too many failed sign-ins, try again later' });
+    return null;
+  }
+
+  // Counted before the check, so parallel guesses can't all get in ahead of the limit
+  recordLoginFailure(key);
+  const user = await userStore.verifyPassword(username, password);
+  if (!user) {
+    res.status(401).json({ success: false, error: wrongMessage });
+    return null;
+  }
+  loginFailures.delete(key);
+  return user;
+}
+
+// Routes that stay reachable without signing in, for any method unless `methods` is given.
+// A signed file link is proof enough to fetch the file, but deleting it takes its owner
+const PUBLIC_API_ROUTES = [
+  { path: /^\/health$/ },
+  { path: /^\/pwa-status$/ },
+  { path: /^\/auth\/(login|me)$/ },
+  { path: /^\/files\/[^/]+$/, methods: ['GET', 'HEAD'] },
+  { path: /^\/v1\/openapi\.json$/ }
+];
+
+function isPublicApiRoute(req) {
+  return PUBLIC_API_ROUTES.some(route => {
+    return route.path.test(req.path) && (!route.methods || route.methods.includes(req.method));
+  });
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+app.use('/api', (req, res, next) => {
+  req.user = AUTH_MODE === 'local' ? userStore.resolveToken(bearerToken(req.headers.authorization)) : null;
+  if (AUTH_MODE === 'none' || req.user || isPublicApiRoute(req)) {
+    return next();
+  }
+  if (req.path.startsWith('/v1/') || req.path.startsWith('/jobs')) {
+    return sendApiError(res, 401, 'Sign in or send an API key');
+  }
+  res.status(401).json({ success: false, error: 'Sign in required' });
+});
+
+function requireAdmin(req, res, next) {
+  if (AUTH_MODE === 'none') {
+    return res.status(404).json({ success: false, error: 'Accounts are disabled' });
+  }
+  if (!req.user.admin) {
+    return res.status(403).json({ success: false, error: 'Admins only' });
+  }
+  next();
+}
+
+// Without accounts, callers name their session in an X-Session-Id header (or a sessionId
+// query parameter, for EventSource); it is the same id the browser's socket joins with
+function requestSessionRoom(req) {
+  const sessionId = req.get('X-Session-Id') || req.query.sessionId;
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) ? sessionRoom(sessionId) : null;
+}
+
+// A job the request may see: the user's own with accounts, otherwise the session's own.
+// Jobs started without a session are reachable by their unguessable id, but never listed
+function findOwnJob(req, downloadId) {
+  const job = typeof downloadId === 'string' ? jobStore.get(downloadId) : undefined;
+  if (!job) return undefined;
+  if (AUTH_MODE === 'none') {
+    return !job.room || job.room === requestSessionRoom(req) ? job : undefined;
+  }
+  return req.user && job.owner === req.user.username ? job : undefined;
+}
+
+function ownJobs(req) {
+  if (AUTH_MODE === 'none') {
+    const room = requestSessionRoom(req);
+    return room ? jobStore.values().filter(job => job.room === room) : [];
+  }
+  return jobStore.values().filter(job => req.user && job.owner === req.user.username);
+}
+
+// Bytes held by the user's finished files
+function storageUsed(username) {
+  return jobStore.values()
+    .filter(job => job.owner === username && job.status === 'complete' && job.fileSize)
+    .filter(job => job.filePath && fs.existsSync(job.filePath))
+    .reduce((total, job) => total + job.fileSize, 0);
+}
+
+// Error message once a user's quota is full; new jobs are refused until files are deleted
+function quotaError(user) {
+  if (!user || !user.quotaMb) return null;
+  return storageUsed(user.username) >= user.quotaMb * 1024 * 1024
+    ? `Storage quota of ${user.quotaMb} MB reached; delete some files first`
+    : null;
+}
+
+function publicUser(user) {
+  return {
+    username: user.username,
+    admin: user.admin,
+    quotaMb: user.quotaMb,
+    usedBytes: storageUsed(user.username),
+    apiKeyCount: user.apiKeys.length,
+    createdAt: user.createdAt
+  };
+}
+
+// Returns { account } with the fields that were given, or { error }
+function normalizeAccount({ username, password, admin, quotaMb }, { creating }) {
+  const account = {};
+  if (creating || username !== undefined) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { error: 'Usernames are 3-32 letters, digits, dots, dashes or underscores' };
+    }
+    account.username = username;
+  }
+  if (creating || password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    account.password = password;
+  }
+  if (admin !== undefined) {
+    account.admin = admin === true;
+  }
+  if (quotaMb !== undefined || creating) {
+    const quota = quotaMb === undefined ? DEFAULT_QUOTA_MB : Number(quotaMb);
+    if (!Number.isInteger(quota) || quota < 0) {
+      return { error: 'Quota must be a whole number of MB, or 0 for no limit' };
+    }
+    account.quotaMb = quota;
+  }
+  return { account };
+}
+
 // YouTube-dl configuration
 const ytdlOptions = {
   dumpSingleJson: true,
@@ -118,9 +374,129 @@ const ytdlOptions = {
   addHeader: ['referer:youtube.com', 'user-agent:googlebot']
 };
 
-// Active downloads tracking
-const activeDownloads = new Map();
+// Download jobs are journaled under the downloads dir; child processes only live in memory.
+// Source URLs stay on disk only while a job may still need them to resume
+const jobStore = new JobStore(path.join(DOWNLOADS_DIR, '.jobs.jsonl'), { privateFields: ['url'] }).load();
 const downloadProcesses = new Map();
+// Last download_progress payload per running job, so pollers see bytes, speed and stage too
+const liveProgress = new Map();
+// Open /api/jobs/:id/events responses per job
+const jobEventStreams = new Map();
+
+// Server-wide limits: yt-dlp downloads and ffmpeg enhancement jobs queue separately
+const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS, 10) || 3;
+const MAX_CONCURRENT_ENHANCEMENTS = parseInt(process.env.MAX_CONCURRENT_ENHANCEMENTS, 10) || 1;
+// An ffmpeg pass that reports no progress for this long is killed
+const ENHANCEMENT_STALL_TIMEOUT = 5 * 60 * 1000;
+
+const downloadQueue = new TaskQueue({
+  concurrency: MAX_CONCURRENT_DOWNLOADS,
+  onChange: (ids) => announceQueuePositions(ids, 'Waiting for a download slot')
+});
+const enhancementQueue = new TaskQueue({
+  concurrency: MAX_CONCURRENT_ENHANCEMENTS,
+  onChange: (ids) => announceQueuePositions(ids, 'Waiting for an enhancement slot')
+});
+
+// The neural upscaler is offered only when onnxruntime-node and a model file are installed
+const upscalers = createUpscalers({
+  ffmpegPath,
+  modelPath: process.env.UPSCALER_MODEL_PATH,
+  modelScale: parseInt(process.env.UPSCALER_MODEL_SCALE, 10) || 4
+});
+
+// Voice isolation uses arnndn when an RNNoise model is configured (the filter needs
+// ffmpeg 4.3 or newer); otherwise it falls back to a speech band-pass and afftdn
+const RNNOISE_MODEL_PATH = process.env.RNNOISE_MODEL_PATH && fs.existsSync(process.env.RNNOISE_MODEL_PATH)
+  ? process.env.RNNOISE_MODEL_PATH
+  : undefined;
+
+// Resolves { preset, filters, aiUpscaling, upscaler, targetHeight } into the filters to run.
+// The older noiseReduction/colorCorrection toggles add their filter at default strength.
+// Returns { enhancements } or { error } for parameters out of range, or for audio-only
+// filters such as silence trimming on a video download
+function normalizeEnhancements(enhancements, { quality } = {}) {
+  const options = enhancements || {};
+  const targetHeight = Number(options.targetHeight);
+
+  const toggles = {};
+  if (options.noiseReduction === true) toggles.noiseReduction = true;
+  if (options.colorCorrection === true) toggles.colorCorrection = true;
+
+  const { filters, error } = resolvePreset(options.preset, { ...toggles, ...options.filters });
+  if (error) return { error };
+
+  if (quality !== 'Audio Only' && audioOnlyFilters(filters).length > 0) {
+    return { error: 'Silence trimming is only available for audio downloads' };
+  }
+
+  return {
+    enhancements: {
+      preset: typeof options.preset === 'string' && options.preset !== 'none' ? options.preset : undefined,
+      filters,
+      aiUpscaling: Boolean(options.aiUpscaling),
+      upscaler: upscalers.get(options.upscaler).id,
+      targetHeight: UPSCALE_TARGETS.includes(targetHeight) ? targetHeight : DEFAULT_UPSCALE_TARGET
+    }
+  };
+}
+
+function hasEnhancements(enhancements) {
+  return Boolean(enhancements && (enhancements.aiUpscaling || Object.keys(enhancements.filters || {}).length > 0));
+}
+
+// TikTok offers the same video with and without its watermark; yt-dlp flags the
+// watermarked formats in format_note
+const CLEAN_FORMAT_PLATFORMS = ['TikTok'];
+const WATERMARKED_FORMAT_PATTERN = /watermarked/i;
+const WATERMARK_MODES = ['delogo', 'crop'];
+
+// Where each platform's logo usually sits, in percent of the frame. TikTok's moves
+// during the video; this is where it ends up
+const WATERMARK_REGIONS = {
+  TikTok: { x: 55, y: 85, width: 43, height: 13 },
+  Instagram: { x: 2, y: 88, width: 40, height: 10 }
+};
+
+// Validates { mode, region } for removing a watermark. The region defaults to the
+// platform's usual logo position. Returns { watermark } or { error }
+function normalizeWatermark(watermark, { quality, platform }) {
+  if (!watermark) return { watermark: null };
+  if (quality === 'Audio Only') {
+    return { error: 'Watermark removal only applies to video downloads' };
+  }
+
+  const mode = watermark.mode || 'delogo';
+  if (!WATERMARK_MODES.includes(mode)) {
+    return { error: `Watermark mode must be one of: ${WATERMARK_MODES.join(', ')}` };
+  }
+
+  const region = watermark.region || WATERMARK_REGIONS[platform];
+  if (!region) {
+    return { error: `Set a watermark region for ${platform} videos` };
+  }
+
+  const values = {};
+  for (const key of ['x', 'y', 'width', 'height']) {
+    const value = Number(region[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: 'Watermark region values must be percentages from 0 to 100' };
+    }
+    values[key] = value;
+  }
+  if (values.width === 0 || values.height === 0 || values.x + values.width > 100 || values.y + values.height > 100) {
+    return { error: 'Watermark region must lie inside the frame' };
+  }
+
+  return {
+    watermark: { mode, region: values, preferCleanFormat: CLEAN_FORMAT_PLATFORMS.includes(platform) }
+  };
+}
+
+// The ffmpeg pass is skipped when yt-dlp could fetch a format without the watermark
+function needsWatermarkPass(download) {
+  return Boolean(download.watermark && !download.watermark.cleanFormat);
+}
 
 // Supported platforms
 const SUPPORTED_PLATFORMS = {
@@ -170,338 +546,1784 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-// API Routes
-app.post('/api/analyze', async (req, res) => {
-  try {
-    const { url } = req.body;
-    // Don't log or store user IDs for privacy
-    
-    if (!url) {
-      return res.status(400).json({ success: false, error: 'URL is required' });
-    }
+// yt-dlp prints one progress line per update with these fields, pipe separated
+const PROGRESS_PREFIX = '[vidharvest]';
+const PROGRESS_TEMPLATE = 'download:' + PROGRESS_PREFIX + [
+  '%(progress.status)s',
+  '%(progress.downloaded_bytes)s',
+  '%(progress.total_bytes)s',
+  '%(progress.total_bytes_estimate)s',
+  '%(progress.speed)s',
+  '%(progress.eta)s'
+].join('|');
+
+function parseProgressLine(line) {
+  const start = line.indexOf(PROGRESS_PREFIX);
+  if (start === -1) return null;
+
+  const [status, downloaded, total, totalEstimate, speed, eta] = line
+    .slice(start + PROGRESS_PREFIX.length)
+    .trim()
+    .split('|')
+    .map(value => (value === 'NA' || value === 'None' ? null : value));
+
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+  };
+
+  const downloadedBytes = toNumber(downloaded);
+  const totalBytes = toNumber(total) || toNumber(totalEstimate);
+
+  return {
+    status,
+    downloaded: downloadedBytes,
+    total: totalBytes,
+    percent: totalBytes > 0 ? Math.min(100, (downloadedBytes / totalBytes) * 100) : 0,
+    speed: toNumber(speed),
+    eta: Math.round(toNumber(eta))
+  };
+}
 
-    const platform = detectPlatform(url);
-    
-    // Allow any valid URL, let yt-dlp handle support
-    if (!url.startsWith('http')) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid URL. Please provide a valid video URL.' 
-      });
-    }
+// A job runs through these stages in order, each taking its weight's share of the
+// overall progress bar. Only the stages a job's options call for are counted
+const STAGE_WEIGHTS = { download: 60, upscale: 50, enhance: 40, convert: 15 };
 
-    // Get video info using youtube-dl
-    const videoInfo = await youtubedl(url, ytdlOptions);
-    
-    // Extract available formats
-    const formats = videoInfo.formats
-      .filter(f => f.height || f.acodec)
-      .map(f => ({
-        quality: f.height ? `${f.height}p` : 'Audio Only',
-        format: f.ext || 'mp4',
-        fileSize: f.filesize || f.filesize_approx || 0,
-        fps: f.fps,
-        vcodec: f.vcodec,
-        acodec: f.acodec,
-        formatId: f.format_id
-      }))
-      .sort((a, b) => {
-        const aHeight = parseInt(a.quality) || 0;
-        const bHeight = parseInt(b.quality) || 0;
-        return bHeight - aHeight;
-      })
-      .slice(0, 6);
+function jobStages(download) {
+  const { quality, enhancements, subtitles } = download;
+  // Local files skip the download; video ones always get an ffmpeg pass
+  const isUpload = download.source === 'upload';
+  const stages = isUpload ? [] : ['download'];
 
-    // Add audio-only option
-    const audioFormats = videoInfo.formats
-      .filter(f => f.vcodec === 'none' && f.acodec !== 'none')
-      .sort((a, b) => (b.abr || 0) - (a.abr || 0));
-    
-    if (audioFormats.length > 0) {
-      formats.push({
-        quality: 'Audio Only',
-        format: 'mp3',
-        fileSize: audioFormats[0].filesize || audioFormats[0].filesize_approx || 0,
-        formatId: audioFormats[0].format_id
-      });
+  if (quality === 'Audio Only') {
+    stages.push('convert');
+    return stages;
+  }
+  if (enhancements && enhancements.aiUpscaling && upscalers.get(enhancements.upscaler).upscaleFile) {
+    stages.push('upscale');
+  }
+  if (isUpload || hasEnhancements(enhancements) || (subtitles && subtitles.mode === 'burn') ||
+    needsWatermarkPass(download) || download.compress) {
+    stages.push('enhance');
+  }
+  return stages;
+}
+
+// Overall percentage for `percent` of the way through `stage`
+function overallProgress(download, stage, percent) {
+  const stages = jobStages(download);
+  const weightOf = names => names.reduce((sum, name) => sum + STAGE_WEIGHTS[name], 0);
+  const done = weightOf(stages.slice(0, Math.max(0, stages.indexOf(stage))));
+  const progress = (done + STAGE_WEIGHTS[stage] * percent / 100) / weightOf(stages) * 100;
+  return Math.min(99, Math.round(progress));
+}
+
+// Sends download_progress for one stage: `progress` is the whole job, `stageProgress` this stage
+function emitStageProgress(downloadId, stage, percent, details) {
+  const download = jobStore.get(downloadId);
+  if (!download) return;
+
+  emitToDownload(downloadId, 'download_progress', {
+    downloadId,
+    progress: overallProgress(download, stage, percent),
+    stageProgress: Math.round(percent),
+    ...details
+  });
+}
+
+// Follows ffmpeg's status lines ("time=00:01:02.50 ... speed=1.8x") against the input
+// duration, or the part of it a clip keeps. onProgress receives { percent, speed, eta }
+// at most twice a second
+function trackFfmpegProgress(command, onProgress, clip) {
+  let duration = 0;
+  let lastEmit = 0;
+
+  command.on('codecData', (data) => {
+    duration = parseTimestamp(data.duration) || 0;
+    if (clip) {
+      duration = (clip.end === null ? duration : Math.min(duration, clip.end)) - clip.start;
     }
+  });
 
-    const response = {
-      success: true,
-      videoData: {
-        title: videoInfo.title,
-        platform: platform,
-        duration: videoInfo.duration,
-        thumbnail: videoInfo.thumbnail,
-        uploader: videoInfo.uploader || videoInfo.channel,
-        viewCount: videoInfo.view_count,
-        uploadDate: videoInfo.upload_date,
-        formats: formats.slice(0, 8), // Limit to top 8 formats
-        enhancementOptions: {
-          aiUpscaling: true,
-          noiseReduction: true,
-          colorCorrection: true
-        }
-      }
-    };
+  command.on('stderr', (line) => {
+    const time = line.match(/time=\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/);
+    const now = Date.now();
+    if (!time || duration <= 0 || now - lastEmit < 500) return;
+    lastEmit = now;
 
-    res.json(response);
-  } catch (error) {
-    console.error('Analysis error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to analyze video. Please check the URL and try again.' 
-    });
-  }
-});
+    const position = parseTimestamp(time[1]);
+    const speedMatch = line.match(/speed=\s*([\d.]+)x/);
+    const speed = speedMatch ? parseFloat(speedMatch[1]) : 0;
 
-app.post('/api/download', async (req, res) => {
-  try {
-    const { url, quality, format, enhancements } = req.body;
-    // Don't log or store user IDs for privacy
-    
-    const downloadId = uuidv4();
-    const platform = detectPlatform(url);
-    
-    // Store download info
-    activeDownloads.set(downloadId, {
-      quality,
-      format,
-      enhancements,
-      status: 'starting',
-      progress: 0
+    onProgress({
+      percent: Math.min(100, (position / duration) * 100),
+      speed: speed > 0 ? `${speed.toFixed(1)}x` : null,
+      eta: speed > 0 ? Math.max(0, Math.round((duration - position) / speed)) : null
     });
-    // URL not stored for privacy
+  });
+}
 
-    res.json({ success: true, downloadId });
+// Containers yt-dlp can merge/remux video into
+const VIDEO_CONTAINERS = ['mp4', 'mkv', 'webm', 'mov'];
+const FORMAT_ID_PATTERN = /^[\w.=-]+$/;
 
-    // Start download process
-    startDownload(downloadId, url, quality, enhancements);
-    
-  } catch (error) {
-    console.error('Download initiation error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to start download' 
-    });
+function buildFormatSelector({ formatId, quality, container, avoidWatermark }) {
+  // Prefer audio that can be merged into the container without re-encoding
+  const audioExt = container === 'webm' ? 'webm' : 'm4a';
+  const withAudio = (video) => `${video}+bestaudio[ext=${audioExt}]/${video}+bestaudio`;
+  const height = parseInt(quality, 10);
+
+  // A format without the watermark wins over the chosen one; the rest is the fallback.
+  // `?` keeps formats that have no format_note at all
+  const cleanFormat = `best[format_note!*=?watermarked]${height > 0 ? `[height<=${height}]` : ''}/`;
+  const prefix = avoidWatermark ? cleanFormat : '';
+
+  if (formatId && formatId !== 'best' && FORMAT_ID_PATTERN.test(formatId)) {
+    // Formats that already carry audio are used as is, video-only ones get merged
+    return `${prefix}${formatId}[acodec!=none]/${withAudio(formatId)}`;
   }
-});
 
-// Direct download endpoint
-app.get('/api/download/:downloadId', async (req, res) => {
-  try {
-    const { downloadId } = req.params;
-    const download = activeDownloads.get(downloadId);
-    
-    if (!download || !download.filePath) {
-      return res.status(404).json({ error: 'Download not found' });
-    }
-    
-    const { filePath, filename } = download;
-    
-    if (fs.existsSync(filePath)) {
-      res.download(filePath, filename);
-    } else {
-      res.status(404).json({ error: 'File not found' });
-    }
-    
-  } catch (error) {
-    console.error('Download serve error:', error);
-    res.status(500).json({ error: 'Failed to serve file' });
+  if (height > 0) {
+    return `${prefix}${withAudio(`bestvideo[height<=${height}]`)}/best[height<=${height}]/best`;
   }
-});
 
-async function startDownload(downloadId, url, quality, enhancements) {
-  try {
-    const platform = detectPlatform(url);
-    const platformDir = path.join(DOWNLOADS_DIR, platform);
-    fs.ensureDirSync(platformDir);
-    
-    const ext = quality === 'Audio Only' ? 'mp3' : 'mp4';
-    const filename = `${downloadId}.${ext}`;
-    const filePath = path.join(platformDir, filename);
-    
-    // Store file path in download info
-    const download = activeDownloads.get(downloadId);
-    if (download) {
-      download.filePath = filePath;
-      download.filename = filename;
-    }
+  return `${prefix}${withAudio('bestvideo')}/best`;
+}
 
-    io.emit('download_progress', {
-      downloadId,
-      progress: 0,
-      status: 'downloading',
-      stage: 'Starting download...'
-    });
+// Target codecs for the audio-only pipeline
+const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', codec: 'libmp3lame', muxer: 'mp3', lossless: false },
+  m4a: { label: 'M4A (AAC)', codec: 'aac', muxer: 'ipod', lossless: false },
+  opus: { label: 'Opus', codec: 'libopus', muxer: 'opus', lossless: false },
+  flac: { label: 'FLAC', codec: 'flac', muxer: 'flac', lossless: true },
+  wav: { label: 'WAV', codec: 'pcm_s16le', muxer: 'wav', lossless: true }
+};
+const AUDIO_FORMAT_ALIASES = { aac: 'm4a' };
+const AUDIO_BITRATES = [96, 128, 192, 256, 320];
+const DEFAULT_AUDIO_BITRATE = 192;
 
-    let progress = 0;
-    const progressInterval = setInterval(() => {
-      progress += Math.random() * 15 + 5;
-      if (progress > 95) progress = 95;
-      
-      io.emit('download_progress', {
-        downloadId,
-        progress: Math.round(progress),
-        status: 'downloading'
-      });
-    }, 1000);
+function normalizeAudioFormat(format) {
+  const name = AUDIO_FORMAT_ALIASES[format] || format;
+  return AUDIO_FORMATS[name] ? name : 'mp3';
+}
 
-    const { spawn } = require('child_process');
-    const ytdlpArgs = quality === 'Audio Only'
-      ? [url, '--format', 'bestaudio', '--output', filePath]
-      : [url, '--extractor-args', 'youtube:player_client=android', '--no-check-certificate', '--output', filePath];
-    
-    const ytdlp = spawn('yt-dlp', ytdlpArgs);
-    
-    // Store process for pause/cancel functionality
-    downloadProcesses.set(downloadId, ytdlp);
-    
-    ytdlp.stderr.on('data', (data) => {
-      console.log('yt-dlp:', data.toString());
-    });
-    
-    ytdlp.on('close', (code) => {
-      downloadProcesses.delete(downloadId);
-      clearInterval(progressInterval);
-      
-      if (code === 0 && fs.existsSync(filePath)) {
-        if (enhancements && Object.values(enhancements).some(Boolean)) {
-          io.emit('download_progress', {
-            downloadId,
-            progress: 90,
-            status: 'enhancing',
-            stage: 'Starting AI enhancement... (This may take 2-5 minutes)'
-          });
-          applyEnhancements(downloadId, platformDir, enhancements);
-        } else {
-          io.emit('download_progress', { downloadId, progress: 100, status: 'complete' });
-          io.emit('download_ready', {
-            downloadId,
-            downloadUrl: `/api/download/${downloadId}`
-          });
-        }
-      } else {
-        console.error(`yt-dlp failed with code ${code}`);
-        io.emit('download_error', { downloadId, error: 'Download failed' });
-        activeDownloads.delete(downloadId);
-        downloadProcesses.delete(downloadId);
-      }
-    });
+// yt-dlp picks the final extension, so look for the finished file by id
+function findDownloadedFile(outputDir, baseName) {
+  const partial = /\.(part|ytdl|temp)$|\.part-Frag/;
+  return fs.readdirSync(outputDir)
+    .find(f => f.startsWith(`${baseName}.`) && !partial.test(f) &&
+      !SUBTITLE_FILE_PATTERN.test(f) && !METADATA_FILE_PATTERN.test(f));
+}
 
-  } catch (error) {
-    console.error('Download error:', error);
-    io.emit('download_error', {
-      downloadId,
-      error: 'Download failed: ' + error.message
-    });
-    activeDownloads.delete(downloadId);
-    downloadProcesses.delete(downloadId);
+// yt-dlp writes <baseName>.info.json and <baseName>.jpg; both are embedded once the file is final
+const METADATA_FILE_PATTERN = /\.(info\.json|jpg)$/;
+
+// Cover art only goes into audio files and mkv attachments; mp4 players treat a second
+// video stream inconsistently, so videos there keep their first frame as the preview
+const COVER_ART_CONTAINERS = {
+  mp3: 'attached_pic',
+  m4a: 'attached_pic',
+  flac: 'attached_pic',
+  mkv: 'attachment'
+};
+
+// The info JSON is always written: it names the file and feeds embedMetadata
+function infoJsonArgs(outputBase) {
+  return ['--write-info-json', '--output', `infojson:${outputBase}.%(ext)s`];
+}
+
+function coverArtArgs(outputBase) {
+  return [
+    '--write-thumbnail',
+    '--convert-thumbnails', 'jpg',
+    '--output', `thumbnail:${outputBase}.%(ext)s`
+  ];
+}
+
+async function readInfoJson(outputDir, baseName) {
+  try {
+    return await fs.readJson(path.join(outputDir, `${baseName}.info.json`));
+  } catch {
+    return null;
   }
 }
 
+async function removeMetadataFiles(outputDir, baseName) {
+  await Promise.all(['info.json', 'jpg', 'ffmetadata'].map(ext => {
+    return fs.remove(path.join(outputDir, `${baseName}.${ext}`)).catch(() => {});
+  }));
+}
 
+function escapeFfmetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, '\\$&');
+}
 
-async function applyEnhancements(downloadId, outputDir, enhancements) {
-  try {
-    io.emit('download_progress', {
-      downloadId,
-      progress: 90,
-      status: 'enhancing',
-      stage: 'Starting AI enhancement... (This may take 2-5 minutes)'
-    });
+// FFMETADATA1 text with the container tags and chapters; clip jobs get the chapters
+// that overlap their range, shifted to start at zero
+function buildFfmetadata(info, clip) {
+  const uploadDate = /^\d{8}$/.test(info.upload_date || '')
+    ? `${info.upload_date.slice(0, 4)}-${info.upload_date.slice(4, 6)}-${info.upload_date.slice(6)}`
+    : null;
+
+  const tags = {
+    title: info.title,
+    artist: info.uploader || info.channel,
+    date: uploadDate,
+    description: info.description
+  };
+
+  const lines = [';FFMETADATA1'];
+  Object.entries(tags).forEach(([key, value]) => {
+    if (value) lines.push(`${key}=${escapeFfmetadata(value)}`);
+  });
 
-    // Find the downloaded file
-    const files = await fs.readdir(outputDir);
-    const videoFile = files.find(f => f.includes(downloadId) || 
-                                    f.endsWith('.mp4') || f.endsWith('.mkv') || f.endsWith('.webm'));
-    
-    if (!videoFile) {
-      throw new Error('Downloaded file not found');
-    }
+  const offset = clip ? clip.start : 0;
+  const limit = clip && clip.end !== null ? clip.end : Infinity;
+  (info.chapters || []).forEach(chapter => {
+    const start = Math.max(chapter.start_time, offset);
+    const end = Math.min(chapter.end_time, limit);
+    if (end <= start) return;
+
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round((start - offset) * 1000)}`,
+      `END=${Math.round((end - offset) * 1000)}`,
+      `title=${escapeFfmetadata(chapter.title || '')}`
+    );
+  });
 
-    const inputPath = path.join(outputDir, videoFile);
-    const outputPath = path.join(outputDir, `enhanced_${videoFile}`);
+  return lines.join('\n') + '\n';
+}
 
-    console.log('Starting enhancement:', inputPath, '->', outputPath);
+// Rewrites the finished file with tags, chapters and cover art without re-encoding.
+// Missing info or an ffmpeg failure leave the file as it was
+async function embedMetadata(download, filePath, info) {
+  const baseName = fileBaseName(download);
+  const outputDir = path.dirname(filePath);
+  const coverPath = path.join(outputDir, `${baseName}.jpg`);
+  const metadataPath = path.join(outputDir, `${baseName}.ffmetadata`);
+  const extension = path.extname(filePath);
+  const taggedPath = path.join(outputDir, `${baseName}.tagged${extension}`);
 
-    let enhancementCompleted = false;
-    let enhancementTimeout;
+  try {
+    if (!info) return;
 
-    // Build FFmpeg command with enhancements
-    let command = ffmpeg(inputPath)
-      .videoCodec('libx264')
-      .audioCodec('aac')
-      .format('mp4');
+    await fs.writeFile(metadataPath, buildFfmetadata(info, download.clip));
 
-    // Apply video filters based on enhancements
-    const filters = [];
-    
-    if (enhancements.aiUpscaling) {
-      filters.push('scale=iw*1.2:ih*1.2:flags=fast_bilinear'); // Faster upscaling
-    }
-    
-    if (enhancements.noiseReduction) {
-      filters.push('hqdn3d=4:3:6:4.5'); // Noise reduction
-    }
-    
-    if (enhancements.colorCorrection) {
-      filters.push('eq=contrast=1.1:brightness=0.05:saturation=1.1'); // Color correction
+    const coverMode = fs.existsSync(coverPath) ? COVER_ART_CONTAINERS[extension.slice(1)] : null;
+    const command = ffmpeg(filePath)
+      .input(metadataPath)
+      .inputFormat('ffmetadata');
+    const outputOptions = ['-map', '0', '-map_metadata', '1', '-map_chapters', '1', '-c', 'copy'];
+
+    if (coverMode === 'attached_pic') {
+      command.input(coverPath);
+      outputOptions.push('-map', '2', '-disposition:v:0', 'attached_pic', '-metadata:s:v:0', 'comment=Cover (front)');
+    } else if (coverMode === 'attachment') {
+      outputOptions.push('-attach', coverPath, '-metadata:s:t', 'mimetype=image/jpeg', '-metadata:s:t', 'filename=cover.jpg');
     }
 
-    if (filters.length > 0) {
-      command = command.videoFilters(filters.join(','));
+    if (extension === '.mp3') {
+      outputOptions.push('-id3v2_version', '3');
     }
 
-    // Manual progress tracking since FFmpeg progress events are unreliable
-    let enhancementProgress = 0;
-    const progressInterval = setInterval(() => {
-      if (!enhancementCompleted && enhancementProgress < 95) {
-        enhancementProgress += Math.random() * 10 + 5;
-        io.emit('download_progress', {
-          downloadId,
-          progress: Math.round(90 + (enhancementProgress * 0.1)),
-          status: 'enhancing',
-          stage: `AI Enhancement: ${Math.round(enhancementProgress)}%`
-        });
-      }
-    }, 2000);
+    await new Promise((resolve, reject) => {
+      command
+        .outputOptions(outputOptions)
+        .on('end', resolve)
+        .on('error', reject)
+        .save(taggedPath);
+    });
+
+    await fs.move(taggedPath, filePath, { overwrite: true });
+  } catch (error) {
+    console.error('Metadata embedding failed:', error.message);
+    await fs.remove(taggedPath).catch(() => {});
+  }
+}
+
+// Download names come from a template; files on disk keep their job-based names
+const DEFAULT_FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || '{title}';
+const FILENAME_PLACEHOLDERS = ['title', 'uploader', 'platform', 'date', 'quality', 'id'];
+const MAX_FILENAME_TEMPLATE_LENGTH = 200;
+const MAX_FILENAME_BYTES = 200;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Safe on Windows, macOS and Linux: no reserved characters or names, no trailing dots,
+// and short enough to leave room for the extension
+function sanitizeFilename(name) {
+  let clean = name
+    .normalize('NFC')
+    .replace(/[<>:"/\\|?*\u0000-\u001f\u007f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .replace(/[. ]+$/, '');
+
+  // Trim by code point so multi-byte titles stay valid UTF-8
+  const chars = Array.from(clean);
+  while (Buffer.byteLength(chars.join('')) > MAX_FILENAME_BYTES) {
+    chars.pop();
+  }
+  clean = chars.join('').trim();
+
+  if (WINDOWS_RESERVED_NAMES.test(clean)) {
+    clean = `_${clean}`;
+  }
+  return clean || 'download';
+}
+
+function renderFilenameTemplate(template, values) {
+  return sanitizeFilename(template.replace(/\{(\w+)\}/g, (match, key) => {
+    return FILENAME_PLACEHOLDERS.includes(key) ? String(values[key] || '') : match;
+  }));
+}
+
+// Name offered to the browser, e.g. "Title - Uploader.mp4"; a clip adds its range,
+// and another finished file with the same name in the session gets a " (2)" suffix
+function buildDownloadName(download, info, filename) {
+  const uploadDate = info && /^\d{8}$/.test(info.upload_date || '')
+    ? `${info.upload_date.slice(0, 4)}-${info.upload_date.slice(4, 6)}-${info.upload_date.slice(6)}`
+    : null;
+
+  let stem = renderFilenameTemplate(download.filenameTemplate || DEFAULT_FILENAME_TEMPLATE, {
+    title: (info && info.title) || download.title,
+    uploader: info && (info.uploader || info.channel),
+    platform: path.basename(download.outputDir || ''),
+    date: uploadDate,
+    quality: download.quality,
+    id: (info && info.id) || download.id
+  });
+  if (download.clip) {
+    stem += fileBaseName(download).slice(download.id.length);
+  }
+
+  const extension = path.extname(filename);
+  const taken = new Set(jobStore.values()
+    .filter(job => job.id !== download.id && job.room === download.room && job.downloadName)
+    .map(job => job.downloadName.toLowerCase()));
+
+  let name = `${stem}${extension}`;
+  for (let copy = 2; taken.has(name.toLowerCase()); copy++) {
+    name = `${stem} (${copy})${extension}`;
+  }
+  return name;
+}
+
+// Subtitles are written next to the video as <baseName>.<language>.<format>
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+const SUBTITLE_MODES = ['file', 'embed', 'burn'];
+const SUBTITLE_EMBED_CONTAINERS = ['mp4', 'mkv', 'webm'];
+const SUBTITLE_LANGUAGE_PATTERN = /^[A-Za-z0-9-]{2,20}$/;
+const SUBTITLE_FILE_PATTERN = /\.(srt|vtt|ass)$/;
+const MAX_SUBTITLE_LANGUAGES = 10;
+
+// Validates a { languages, mode, format } subtitle request against the chosen output
+function normalizeSubtitles(subtitles, { quality, format }) {
+  if (!subtitles || !Array.isArray(subtitles.languages) || subtitles.languages.length === 0) {
+    return { subtitles: null };
+  }
+
+  const languages = [...new Set(subtitles.languages)]
+    .filter(language => typeof language === 'string' && SUBTITLE_LANGUAGE_PATTERN.test(language));
+  if (languages.length === 0 || languages.length > MAX_SUBTITLE_LANGUAGES) {
+    return { error: `Choose between 1 and ${MAX_SUBTITLE_LANGUAGES} subtitle languages` };
+  }
+
+  const mode = SUBTITLE_MODES.includes(subtitles.mode) ? subtitles.mode : 'file';
+  if (mode !== 'file' && quality === 'Audio Only') {
+    return { error: 'Subtitles can only be embedded or burned into video downloads' };
+  }
+  if (mode === 'embed' && !SUBTITLE_EMBED_CONTAINERS.includes(format)) {
+    return { error: `Subtitles can only be embedded in ${SUBTITLE_EMBED_CONTAINERS.join(', ')} files` };
+  }
+
+  return {
+    subtitles: {
+      languages,
+      mode,
+      format: SUBTITLE_FORMATS.includes(subtitles.format) ? subtitles.format : 'srt'
+    }
+  };
+}
+
+// yt-dlp arguments for fetching subtitles; embedding picks the container's own format.
+// Subtitle files get their own template so audio downloads don't name them after the .source file
+function subtitleArgs(subtitles, outputBase) {
+  const args = [
+    '--write-subs', '--write-auto-subs',
+    '--sub-langs', subtitles.languages.join(','),
+    '--output', `subtitle:${outputBase}.%(ext)s`
+  ];
+
+  if (subtitles.mode === 'embed') {
+    args.push('--embed-subs');
+  } else {
+    args.push('--convert-subs', subtitles.format);
+  }
+
+  return args;
+}
+
+function findSubtitleFiles(outputDir, baseName) {
+  return fs.readdirSync(outputDir)
+    .map(file => {
+      const match = file.startsWith(`${baseName}.`) && file.slice(baseName.length).match(/^\.([^.]+)\.(srt|vtt|ass)$/);
+      return match ? { language: match[1], filename: file } : null;
+    })
+    .filter(Boolean);
+}
+
+// Filter for ffmpeg's subtitles filter
+function burnSubtitlesFilter(subtitlePath) {
+  return `subtitles=${escapeFilterPath(subtitlePath)}`;
+}
+
+// Accepts seconds or [[hh:]mm:]ss timestamps; returns seconds or NaN
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Validates a { start, end } clip range; a missing bound means the start or end of the video
+function normalizeClip(clip) {
+  if (!clip || (clip.start == null && clip.end == null)) return { clip: null };
+
+  const start = clip.start == null || clip.start === '' ? 0 : parseTimestamp(clip.start);
+  const end = clip.end == null || clip.end === '' ? null : parseTimestamp(clip.end);
+
+  if (!Number.isFinite(start) || start < 0 || (end !== null && !Number.isFinite(end))) {
+    return { error: 'Clip times must be seconds or hh:mm:ss' };
+  }
+  if (end !== null && end <= start) {
+    return { error: 'Clip end must be after its start' };
+  }
+
+  return { clip: { start, end } };
+}
+
+function formatClipTime(seconds) {
+  const total = Math.floor(seconds);
+  const hrs = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hrs > 0 ? `${hrs}h${String(mins).padStart(2, '0')}m${secs}s` : `${mins}m${secs}s`;
+}
+
+// Output files are named after the job, plus the time range for clips
+function fileBaseName(download) {
+  if (!download.clip) return download.id;
+
+  const { start, end } = download.clip;
+  return `${download.id}_${formatClipTime(start)}-${end === null ? 'end' : formatClipTime(end)}`;
+}
+
+// Whether a file in the job's folder is one of its own: the source or result, partial
+// yt-dlp files, sidecars, pass logs, or the enhancement pass's work files
+function isJobFile(download, file) {
+  const baseName = fileBaseName(download);
+  return file === download.filename ||
+    [`${baseName}.`, `enhanced_${baseName}.`, `upscaled_${baseName}.`].some(prefix => file.startsWith(prefix));
+}
+
+// Download events only go to the session room that started the download. Without accounts
+// the session ID is all that guards a job, so only random UUIDs are accepted
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function userRoom(username) {
+  return `user:${username}`;
+}
+
+// Signed-in users get their jobs' events in every tab; anonymous ones per session
+function resolveDownloadRoom(sessionId, socketId, user) {
+  if (user) {
+    return userRoom(user.username);
+  }
+
+  if (typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId)) {
+    return sessionRoom(sessionId);
+  }
+
+  const socket = socketId && io.sockets.sockets.get(socketId);
+  if (socket && socket.data.sessionId) {
+    return sessionRoom(socket.data.sessionId);
+  }
+
+  return null;
+}
+
+function emitToDownload(downloadId, event, payload) {
+  const download = jobStore.get(downloadId);
+  if (!download) return;
+
+  if (event === 'download_progress') {
+    liveProgress.set(downloadId, payload);
+  } else if (event === 'download_complete' || event === 'download_error') {
+    liveProgress.delete(downloadId);
+  }
+  if (JOB_STREAM_EVENTS.includes(event)) {
+    writeJobStreams(downloadId, event, payload);
+  }
+
+  if (!download.room) return;
+  io.to(download.room).emit(event, payload);
+
+  if (download.batchId) {
+    emitBatchProgress(download.batchId);
+  }
+}
+
+// Socket.IO events that are also sent to Server-Sent Events streams; the last two end them
+const JOB_STREAM_EVENTS = ['download_progress', 'download_complete', 'download_error'];
+// Comment lines keep idle streams open through proxies that drop quiet connections
+const JOB_STREAM_HEARTBEAT = 15 * 1000;
+
+function writeJobStreams(downloadId, event, payload) {
+  const streams = jobEventStreams.get(downloadId);
+  if (!streams) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  const finished = event !== 'download_progress';
+  streams.forEach(res => {
+    res.write(message);
+    if (finished) res.end();
+  });
+  if (finished) jobEventStreams.delete(downloadId);
+}
+
+function closeJobStreams(downloadId) {
+  const streams = jobEventStreams.get(downloadId);
+  if (!streams) return;
+  streams.forEach(res => res.end());
+  jobEventStreams.delete(downloadId);
+}
+
+// Overall progress of a playlist/channel batch, derived from its jobs
+function emitBatchProgress(batchId) {
+  const jobs = jobStore.values().filter(job => job.batchId === batchId);
+  if (jobs.length === 0 || !jobs[0].room) return;
+
+  const completed = jobs.filter(job => job.status === 'complete').length;
+  const failed = jobs.filter(job => job.status === 'failed').length;
+  const progress = jobs.reduce((sum, job) => {
+    return sum + (['complete', 'failed'].includes(job.status) ? 100 : (job.progress || 0));
+  }, 0) / jobs.length;
+  const done = completed + failed === jobs.length;
+
+  io.to(jobs[0].room).emit('batch_progress', {
+    batchId,
+    total: jobs.length,
+    completed,
+    failed,
+    progress: Math.round(progress),
+    status: done ? 'complete' : 'downloading',
+    items: done
+      ? jobs.map(job => ({
+          downloadId: job.id,
+          title: job.title,
+          status: job.status,
+          downloadUrl: job.status === 'complete' ? fileUrl(job) : null
+        }))
+      : undefined
+  });
+}
+
+function announceQueuePositions(queuedIds, stage) {
+  queuedIds.forEach((downloadId, index) => {
+    const download = jobStore.get(downloadId);
+    if (!download) return;
+
+    emitToDownload(downloadId, 'download_progress', {
+      downloadId,
+      progress: download.progress || 0,
+      status: 'queued',
+      queuePosition: index + 1,
+      stage: `${stage} (#${index + 1} in queue)`
+    });
+  });
+}
+
+// Output settings shared by download and conversion jobs
+function normalizeJobOutput({ quality, format, audioBitrate, filenameTemplate }) {
+  return {
+    format: quality === 'Audio Only'
+      ? normalizeAudioFormat(format)
+      : (VIDEO_CONTAINERS.includes(format) ? format : 'mp4'),
+    audioBitrate: AUDIO_BITRATES.includes(Number(audioBitrate)) ? Number(audioBitrate) : DEFAULT_AUDIO_BITRATE,
+    filenameTemplate: typeof filenameTemplate === 'string' && filenameTemplate.trim()
+      ? filenameTemplate.trim().slice(0, MAX_FILENAME_TEMPLATE_LENGTH)
+      : undefined
+  };
+}
+
+function createDownloadJob({
+  url, quality, format, formatId, audioBitrate, enhancements, clip, subtitles, watermark, compress,
+  embedMetadata = true, filenameTemplate, room, owner, title, batchId
+}) {
+  const downloadId = uuidv4();
+
+  // Store download info
+  jobStore.create(downloadId, {
+    title,
+    quality,
+    ...normalizeJobOutput({ quality, format, audioBitrate, filenameTemplate }),
+    formatId: typeof formatId === 'string' ? formatId : null,
+    enhancements,
+    clip,
+    subtitles,
+    watermark,
+    compress,
+    embedMetadata: embedMetadata !== false,
+    room,
+    owner,
+    batchId,
+    // Needed to resume after a pause or restart; dropped once the job finishes
+    url,
+    status: 'starting',
+    progress: 0
+  });
+
+  // Start download process, or wait for a free slot
+  enqueueDownload(downloadId);
+  return downloadId;
+}
+
+function enqueueDownload(downloadId) {
+  jobStore.update(downloadId, { status: 'queued' });
+  downloadQueue.push(downloadId, () => startDownload(downloadId));
+}
+
+// Playlists and channels are analyzed flat; entries past this are left out
+const MAX_PLAYLIST_ENTRIES = 200;
+
+const analyzeOptions = {
+  ...ytdlOptions,
+  flatPlaylist: true,
+  playlistEnd: MAX_PLAYLIST_ENTRIES
+};
+
+function buildVideoData(videoInfo, platform) {
+  // Extract available formats
+  const formats = videoInfo.formats
+    .filter(f => f.height || f.acodec)
+    .map(f => ({
+      quality: f.height ? `${f.height}p` : 'Audio Only',
+      format: f.ext || 'mp4',
+      fileSize: f.filesize || f.filesize_approx || 0,
+      fps: f.fps,
+      vcodec: f.vcodec,
+      acodec: f.acodec,
+      formatId: f.format_id,
+      watermarked: WATERMARKED_FORMAT_PATTERN.test(f.format_note || '') || undefined
+    }))
+    .sort((a, b) => {
+      const aHeight = parseInt(a.quality) || 0;
+      const bHeight = parseInt(b.quality) || 0;
+      return bHeight - aHeight;
+    })
+    .slice(0, 6);
+
+  // Add audio-only options, one per target codec, all extracted from the best audio stream
+  const audioFormats = videoInfo.formats
+    .filter(f => f.vcodec === 'none' && f.acodec !== 'none')
+    .sort((a, b) => (b.abr || 0) - (a.abr || 0));
+  
+  if (audioFormats.length > 0) {
+    const bestAudio = audioFormats[0];
+    const duration = videoInfo.duration || 0;
+
+    Object.entries(AUDIO_FORMATS).forEach(([format, spec]) => {
+      let fileSize = 0;
+      if (!spec.lossless) {
+        fileSize = Math.round(duration * DEFAULT_AUDIO_BITRATE * 1000 / 8);
+      } else if (format === 'wav') {
+        fileSize = Math.round(duration * (bestAudio.asr || 44100) * 2 * 2);
+      }
+
+      formats.push({
+        quality: 'Audio Only',
+        format,
+        label: spec.label,
+        lossless: spec.lossless,
+        fileSize,
+        formatId: bestAudio.format_id
+      });
+    });
+  }
+
+  // Uploaded tracks first; auto captions only in the video's own language, not every machine translation
+  const subtitles = Object.keys(videoInfo.subtitles || {})
+    .filter(language => language !== 'live_chat')
+    .map(language => ({
+      language,
+      name: (videoInfo.subtitles[language][0] || {}).name || language,
+      automatic: false
+    }));
+  Object.keys(videoInfo.automatic_captions || {})
+    .filter(language => language === videoInfo.language || language.endsWith('-orig'))
+    .filter(language => !subtitles.some(track => track.language === language))
+    .forEach(language => {
+      subtitles.push({
+        language,
+        name: (videoInfo.automatic_captions[language][0] || {}).name || language,
+        automatic: true
+      });
+    });
+
+  return {
+    title: videoInfo.title,
+    platform: platform,
+    duration: videoInfo.duration,
+    thumbnail: videoInfo.thumbnail,
+    uploader: videoInfo.uploader || videoInfo.channel,
+    viewCount: videoInfo.view_count,
+    uploadDate: videoInfo.upload_date,
+    formats,
+    audioBitrates: AUDIO_BITRATES,
+    defaultAudioBitrate: DEFAULT_AUDIO_BITRATE,
+    subtitles,
+    subtitleFormats: SUBTITLE_FORMATS,
+    compressTargetSizes: COMPRESS_TARGET_SIZES,
+    watermarkRemoval: {
+      cleanFormat: CLEAN_FORMAT_PLATFORMS.includes(platform) && videoInfo.formats.some(f => {
+        return f.vcodec !== 'none' && f.height && !WATERMARKED_FORMAT_PATTERN.test(f.format_note || '');
+      }),
+      defaultRegion: WATERMARK_REGIONS[platform] || null,
+      modes: WATERMARK_MODES
+    },
+    enhancementOptions: {
+      aiUpscaling: true,
+      noiseReduction: true,
+      colorCorrection: true,
+      upscalers: upscalers.list(),
+      ...describeEnhancements(),
+      upscaleTargets: UPSCALE_TARGETS,
+      defaultUpscaleTarget: DEFAULT_UPSCALE_TARGET
+    }
+  };
+}
+
+function buildPlaylistData(playlistInfo, platform, url) {
+  const entries = (playlistInfo.entries || [])
+    .filter(entry => entry && (entry.url || entry.webpage_url || entry.id))
+    .map((entry, index) => {
+      const thumbnails = entry.thumbnails || [];
+      return {
+        index: index + 1,
+        id: entry.id,
+        title: entry.title || `Entry ${index + 1}`,
+        duration: entry.duration || null,
+        thumbnail: entry.thumbnail || (thumbnails[0] && thumbnails[0].url) || null,
+        url: entry.webpage_url || entry.url
+      };
+    });
+
+  return {
+    id: playlistInfo.id,
+    title: playlistInfo.title,
+    platform,
+    uploader: playlistInfo.uploader || playlistInfo.channel,
+    isChannel: Boolean(playlistInfo.channel_id && playlistInfo.id === playlistInfo.channel_id) ||
+      /youtube\.com\/(@|channel\/|c\/|user\/)/.test(url),
+    entryCount: playlistInfo.playlist_count || entries.length,
+    truncated: entries.length >= MAX_PLAYLIST_ENTRIES,
+    entries
+  };
+}
+
+// Resolves to { videoData } for a single video or { playlistData } for playlists and channels
+async function analyzeUrl(url) {
+  const platform = detectPlatform(url);
+  let info = await youtubedl(url, analyzeOptions);
+
+  // Channel pages list their tabs (Videos, Shorts, Live) as nested playlists; open the first
+  const entries = info.entries || [];
+  const isTabList = entries.length > 0 &&
+    entries.every(entry => entry._type === 'playlist' || entry.ie_key === 'YoutubeTab');
+  if (info._type === 'playlist' && isTabList && entries[0].url) {
+    info = await youtubedl(entries[0].url, analyzeOptions);
+  }
+
+  if (info._type === 'playlist') {
+    return { playlistData: buildPlaylistData(info, platform, url) };
+  }
+
+  return { videoData: buildVideoData(info, platform) };
+}
+
+// API Routes
+app.post('/api/analyze', async (req, res) => {
+  try {
+    const { url } = req.body;
+    // Don't log or store user IDs for privacy
+    
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'URL is required' });
+    }
+
+    // Allow any valid URL, let yt-dlp handle support
+    if (!url.startsWith('http')) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid URL. Please provide a valid video URL.' 
+      });
+    }
+
+    const analysis = await analyzeUrl(url);
+    res.json({ success: true, ...analysis });
+  } catch (error) {
+    console.error('Analysis error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to analyze video. Please check the URL and try again.' 
+    });
+  }
+});
+
+// Bulk analysis of pasted or uploaded URL lists
+const MAX_BATCH_ANALYZE_URLS = 50;
+const ANALYZE_CONCURRENCY = 4;
+
+// Analyzes every URL, a few at a time; a failure only affects its own result
+async function analyzeUrls(urls) {
+  const results = new Array(urls.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < urls.length) {
+      const index = nextIndex++;
+      const url = urls[index];
+      try {
+        results[index] = { url, success: true, ...(await analyzeUrl(url)) };
+      } catch (error) {
+        console.error('Batch analysis error:', error.message);
+        results[index] = { url, success: false, error: 'Failed to analyze this URL' };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(ANALYZE_CONCURRENCY, urls.length) }, worker));
+  return results;
+}
+
+app.post('/api/analyze/batch', async (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    const validUrls = Array.isArray(urls)
+      ? [...new Set(urls.filter(url => typeof url === 'string' && url.startsWith('http')))]
+      : [];
+
+    if (validUrls.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one valid URL is required' });
+    }
+
+    if (validUrls.length > MAX_BATCH_ANALYZE_URLS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BATCH_ANALYZE_URLS} URLs can be analyzed at once`
+      });
+    }
+
+    const results = await analyzeUrls(validUrls);
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Batch analysis error:', error);
+    res.status(500).json({ success: false, error: 'Failed to analyze URLs' });
+  }
+});
+
+// Enhancement filters with their parameter ranges, the built-in presets and the upscalers
+app.get('/api/enhancements', (req, res) => {
+  res.json({
+    success: true,
+    ...describeEnhancements(),
+    upscalers: upscalers.list(),
+    upscaleTargets: UPSCALE_TARGETS
+  });
+});
+
+// Validates a download request and queues it. Returns { downloadId }, or { status, error }
+// for a request that can't be queued. Shared by /api/download and /api/v1/jobs
+function queueDownloadRequest(body, user) {
+  const { url, quality, format, formatId, audioBitrate, enhancements, sessionId, socketId } = body;
+
+  if (typeof url !== 'string' || !url.startsWith('http')) {
+    return { status: 400, error: 'A valid video URL is required' };
+  }
+
+  const { clip, error: clipError } = normalizeClip(body.clip);
+  if (clipError) return { status: 400, error: clipError };
+
+  const { subtitles, error: subtitlesError } = normalizeSubtitles(body.subtitles, { quality, format });
+  if (subtitlesError) return { status: 400, error: subtitlesError };
+
+  const { enhancements: enhancementOptions, error: enhancementsError } = normalizeEnhancements(enhancements, { quality });
+  if (enhancementsError) return { status: 400, error: enhancementsError };
+
+  const { watermark, error: watermarkError } = normalizeWatermark(body.watermark, {
+    quality,
+    platform: detectPlatform(url)
+  });
+  if (watermarkError) return { status: 400, error: watermarkError };
+
+  const { compress, error: compressError } = normalizeCompression(body.compress, { quality });
+  if (compressError) return { status: 400, error: compressError };
+
+  const quotaExceeded = quotaError(user);
+  if (quotaExceeded) return { status: 403, error: quotaExceeded };
+
+  // Without a session the download still runs, but nobody receives its events
+  const room = resolveDownloadRoom(sessionId, socketId, user);
+
+  const downloadId = createDownloadJob({
+    url, quality, format, formatId, audioBitrate, clip, subtitles, watermark, compress,
+    enhancements: enhancementOptions,
+    embedMetadata: body.embedMetadata,
+    filenameTemplate: body.filenameTemplate,
+    room,
+    owner: user ? user.username : undefined
+  });
+  return { downloadId };
+}
+
+app.post('/api/download', async (req, res) => {
+  try {
+    // Don't log or store user IDs for privacy
+    const { downloadId, status, error } = queueDownloadRequest(req.body, req.user);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      downloadId,
+      status: jobStore.get(downloadId).status,
+      queuePosition: downloadQueue.position(downloadId)
+    });
+    
+  } catch (error) {
+    console.error('Download initiation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to start download' 
+    });
+  }
+});
+
+// Batch download endpoint for selected playlist/channel entries
+const MAX_BATCH_SIZE = MAX_PLAYLIST_ENTRIES;
+
+app.post('/api/batch', async (req, res) => {
+  try {
+    const { entries, quality, format, audioBitrate, enhancements, filenameTemplate, sessionId, socketId } = req.body;
+
+    const validEntries = Array.isArray(entries)
+      ? entries.filter(entry => entry && typeof entry.url === 'string' && entry.url.startsWith('http'))
+      : [];
+
+    if (validEntries.length === 0) {
+      return res.status(400).json({ success: false, error: 'Select at least one entry to download' });
+    }
+
+    if (validEntries.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ success: false, error: `A batch can hold at most ${MAX_BATCH_SIZE} entries` });
+    }
+
+    const { enhancements: enhancementOptions, error: enhancementsError } = normalizeEnhancements(enhancements, { quality });
+    if (enhancementsError) {
+      return res.status(400).json({ success: false, error: enhancementsError });
+    }
+
+    const quotaExceeded = quotaError(req.user);
+    if (quotaExceeded) {
+      return res.status(403).json({ success: false, error: quotaExceeded });
+    }
+
+    const room = resolveDownloadRoom(sessionId, socketId, req.user);
+    const batchId = uuidv4();
+
+    // Entries are different videos, so formats are picked by quality rather than formatId
+    const downloadIds = validEntries.map(entry => createDownloadJob({
+      url: entry.url,
+      title: typeof entry.title === 'string' ? entry.title : undefined,
+      quality,
+      format,
+      audioBitrate,
+      enhancements: enhancementOptions,
+      filenameTemplate,
+      room,
+      owner: req.user ? req.user.username : undefined,
+      batchId
+    }));
+
+    res.json({ success: true, batchId, downloadIds });
+    emitBatchProgress(batchId);
+  } catch (error) {
+    console.error('Batch initiation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start batch download' });
+  }
+});
+
+// Local files go through the same ffmpeg passes as downloads. Uploads and their
+// results live in their own folder next to the platform folders
+const LOCAL_FILES_DIR = path.join(DOWNLOADS_DIR, 'Local');
+fs.ensureDirSync(LOCAL_FILES_DIR);
+
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 2048;
+const CONVERTIBLE_EXTENSIONS = [
+  '.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm',
+  '.mp3', '.wav', '.flac', '.aac', '.ogg', '.opus', '.m4a'
+];
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: LOCAL_FILES_DIR,
+    filename: (req, file, cb) => cb(null, `upload_${uuidv4()}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  // Browsers send non-ASCII file names as raw UTF-8
+  defParamCharset: 'utf8',
+  // Anything else is dropped, leaving req.file unset
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, /^(video|audio)\//.test(file.mimetype) || CONVERTIBLE_EXTENSIONS.includes(extension));
+  }
+});
+
+// CRF for each encoder, and the audio bitrate, at each compression level
+const COMPRESSION_LEVELS = {
+  light: { x264: 26, vp9: 36, audioBitrate: 128 },
+  medium: { x264: 30, vp9: 42, audioBitrate: 96 },
+  strong: { x264: 34, vp9: 48, audioBitrate: 64 }
+};
+
+// Sizes offered for "compress to size", in MB; any size in between can be requested
+const COMPRESS_TARGET_SIZES = [8, 10, 25, 50, 100];
+const MIN_TARGET_SIZE_MB = 1;
+const MAX_TARGET_SIZE_MB = 4096;
+const MIN_VIDEO_KBPS = 100;
+
+// A level name, or { targetSize } in MB for a two-pass encode that fits that size
+function normalizeCompression(compress, { quality }) {
+  if (!compress || compress === 'none') return { compress: null };
+  if (quality === 'Audio Only') {
+    return { error: 'Compression applies to video; pick a lower audio bitrate instead' };
+  }
+
+  if (typeof compress === 'object') {
+    const targetSize = Number(compress.targetSize);
+    if (!Number.isFinite(targetSize) || targetSize < MIN_TARGET_SIZE_MB || targetSize > MAX_TARGET_SIZE_MB) {
+      return { error: `Target size must be between ${MIN_TARGET_SIZE_MB} and ${MAX_TARGET_SIZE_MB} MB` };
+    }
+    return { compress: { targetSize } };
+  }
+
+  if (!COMPRESSION_LEVELS[compress]) {
+    return { error: `Compression must be one of: ${Object.keys(COMPRESSION_LEVELS).join(', ')}` };
+  }
+  return { compress: { level: compress } };
+}
+
+// Video and audio bitrates in kbps that fill targetSize MB over `duration` seconds, with
+// 4% kept back for container overhead. Null when the video would drop below MIN_VIDEO_KBPS
+function targetBitrates(targetSize, duration) {
+  if (!(duration > 0)) return null;
+
+  const totalKbps = (targetSize * 1024 * 1024 * 8 * 0.96) / duration / 1000;
+  const audio = Math.round(Math.min(128, Math.max(32, totalKbps * 0.1)));
+  const video = Math.floor(totalKbps - audio);
+  return video >= MIN_VIDEO_KBPS ? { video, audio } : null;
+}
+
+// First pass of a two-pass encode: ffmpeg only writes its analysis to passLogFile
+function runFirstPass({ inputPath, download, filters, videoCodec, videoBitrate, passLogFile, onStart, onProgress }) {
+  return new Promise((resolve, reject) => {
+    let command = trimLocalFile(ffmpeg(inputPath), download)
+      .noAudio()
+      .videoCodec(videoCodec)
+      .videoBitrate(videoBitrate)
+      .outputOptions(['-pass', '1', '-passlogfile', passLogFile])
+      .format('null');
+
+    if (filters.length > 0) {
+      command = command.videoFilters(filters.join(','));
+    }
+
+    trackFfmpegProgress(command, onProgress, localClip(download));
+    command
+      .on('start', () => onStart(command))
+      .on('end', resolve)
+      .on('error', reject)
+      .save(os.devNull);
+  });
+}
+
+// ffmpeg names its pass logs after passLogFile, with encoder-specific suffixes
+async function removePassLogs(passLogFile) {
+  const directory = path.dirname(passLogFile);
+  const prefix = path.basename(passLogFile);
+  const files = await fs.readdir(directory).catch(() => []);
+  await Promise.all(files
+    .filter(file => file.startsWith(prefix))
+    .map(file => fs.remove(path.join(directory, file)).catch(() => {})));
+}
+
+// Downloads are cut by yt-dlp already, so only local files are trimmed by ffmpeg
+function localClip(download) {
+  return download.source === 'upload' && download.clip ? download.clip : null;
+}
+
+function trimLocalFile(command, download) {
+  const clip = localClip(download);
+  if (!clip) return command;
+
+  command = command.seekInput(clip.start);
+  return clip.end === null ? command : command.duration(clip.end - clip.start);
+}
+
+// Like createDownloadJob, but for a file already on disk. It is moved in, or copied
+// when it belongs to another job
+async function createConversionJob({
+  sourcePath, keepSource, title, quality, format, audioBitrate, enhancements, clip, compress,
+  filenameTemplate, room, owner
+}) {
+  const downloadId = uuidv4();
+  const filename = `${downloadId}.source${path.extname(sourcePath)}`;
+  const filePath = path.join(LOCAL_FILES_DIR, filename);
+  await (keepSource ? fs.copy(sourcePath, filePath) : fs.move(sourcePath, filePath));
+
+  jobStore.create(downloadId, {
+    source: 'upload',
+    title,
+    quality,
+    ...normalizeJobOutput({ quality, format, audioBitrate, filenameTemplate }),
+    enhancements,
+    clip,
+    compress,
+    embedMetadata: false,
+    room,
+    owner,
+    outputDir: LOCAL_FILES_DIR,
+    filename,
+    filePath,
+    status: 'queued',
+    progress: 0
+  });
+
+  enqueueProcessing(downloadId);
+  return downloadId;
+}
+
+// Queues the ffmpeg step for a job whose source file is in place
+function enqueueProcessing(downloadId) {
+  const download = jobStore.get(downloadId);
+  if (!download) return;
+
+  const { quality, outputDir, enhancements } = download;
+  jobStore.update(downloadId, { status: 'queued' });
+  enhancementQueue.push(downloadId, () => (quality === 'Audio Only'
+    ? convertAudio(downloadId, outputDir)
+    : applyEnhancements(downloadId, outputDir, enhancements || {})));
+}
+
+// Converts an uploaded file (multipart `file`, with the options as JSON in `options`)
+// or a finished download (JSON body with its `downloadId`)
+app.post('/api/convert', (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE' ? `Files can be at most ${MAX_UPLOAD_MB} MB` : 'Upload failed';
+    res.status(400).json({ success: false, error: message });
+  });
+}, async (req, res) => {
+  const uploadedPath = req.file && req.file.path;
+  const reject = (error) => {
+    if (uploadedPath) fs.remove(uploadedPath).catch(() => {});
+    return res.status(400).json({ success: false, error });
+  };
+
+  try {
+    const quotaExceeded = quotaError(req.user);
+    if (quotaExceeded) {
+      if (uploadedPath) fs.remove(uploadedPath).catch(() => {});
+      return res.status(403).json({ success: false, error: quotaExceeded });
+    }
+
+    let options = req.body;
+    if (req.file) {
+      try {
+        options = JSON.parse(req.body.options || '{}');
+      } catch {
+        return reject('Conversion options must be JSON');
+      }
+    }
+
+    let sourcePath = uploadedPath;
+    let title = req.file && path.parse(req.file.originalname).name;
+    if (!req.file) {
+      const existing = findOwnJob(req, options.downloadId);
+      if (!existing || existing.status !== 'complete' || !resolveDownloadPath(existing.filePath || '') ||
+        !fs.existsSync(existing.filePath)) {
+        return reject('Upload a video or audio file, or pick a finished download');
+      }
+      sourcePath = existing.filePath;
+      title = path.parse(existing.downloadName || existing.filename).name;
+    }
+
+    // Video conversions keep the source's resolution unless an upscale asks otherwise
+    const quality = options.quality === 'Audio Only' ? 'Audio Only' : 'Original';
+
+    const { clip, error: clipError } = normalizeClip(options.clip);
+    if (clipError) return reject(clipError);
+
+    const { enhancements, error: enhancementsError } = normalizeEnhancements(options.enhancements, { quality });
+    if (enhancementsError) return reject(enhancementsError);
+
+    const { compress, error: compressError } = normalizeCompression(options.compress, { quality });
+    if (compressError) return reject(compressError);
+
+    const downloadId = await createConversionJob({
+      sourcePath,
+      keepSource: !req.file,
+      title,
+      quality,
+      format: options.format,
+      audioBitrate: options.audioBitrate,
+      enhancements,
+      clip,
+      compress,
+      filenameTemplate: options.filenameTemplate,
+      room: resolveDownloadRoom(options.sessionId, options.socketId, req.user),
+      owner: req.user ? req.user.username : undefined
+    });
+
+    res.json({
+      success: true,
+      downloadId,
+      status: jobStore.get(downloadId).status,
+      queuePosition: enhancementQueue.position(downloadId)
+    });
+  } catch (error) {
+    console.error('Conversion initiation error:', error);
+    if (uploadedPath) fs.remove(uploadedPath).catch(() => {});
+    res.status(500).json({ success: false, error: 'Failed to start conversion' });
+  }
+});
+
+// Signed file links. The token names the job and one of its files; the file must still
+// belong to that job and sit inside DOWNLOADS_DIR
+function resolveFileToken(token) {
+  const claims = fileTokens.verify(token);
+  const job = claims && jobStore.get(claims.job);
+  if (!job || job.status !== 'complete' || !job.outputDir) return null;
+
+  const subtitle = (job.subtitleFiles || []).find(track => track.filename === claims.file);
+  if (claims.file !== job.filename && !subtitle) return null;
+
+  const filePath = resolveDownloadPath(job.outputDir, claims.file);
+  if (!filePath || path.dirname(filePath) !== path.resolve(job.outputDir)) return null;
+
+  // Subtitles are named after the video's download name, e.g. "Title.en.srt"
+  const stem = job.downloadName ? path.parse(job.downloadName).name : job.id;
+  const downloadName = subtitle
+    ? `${stem}.${subtitle.language}${path.extname(subtitle.filename)}`
+    : job.downloadName || job.filename;
+  return { job, filePath, downloadName };
+}
+
+app.get('/api/files/:token', (req, res) => {
+  try {
+    const file = resolveFileToken(req.params.token);
+    if (!file) {
+      return res.status(404).json({ error: 'Link is invalid or has expired' });
+    }
+
+    if (fs.existsSync(file.filePath)) {
+      res.download(file.filePath, file.downloadName);
+    } else {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    console.error('File serve error:', error);
+    res.status(500).json({ error: 'Failed to serve file' });
+  }
+});
+
+app.delete('/api/files/:token', (req, res) => {
+  try {
+    const file = resolveFileToken(req.params.token);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Link is invalid or has expired' });
+    }
+    // The link may have been shared; only the job's owner can delete the file
+    if (!findOwnJob(req, file.job.id)) {
+      return res.status(403).json({ success: false, error: 'Only the owner can delete this file' });
+    }
+
+    if (fs.existsSync(file.filePath)) {
+      fs.unlinkSync(file.filePath);
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ success: false, error: 'File not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete file' });
+  }
+});
+
+async function startDownload(downloadId) {
+  const download = jobStore.get(downloadId);
+  if (!download) return;
+
+  try {
+    const { url, quality, format, formatId, enhancements, clip, subtitles, watermark, embedMetadata } = download;
+    const platform = detectPlatform(url);
+    const platformDir = path.join(DOWNLOADS_DIR, platform);
+    fs.ensureDirSync(platformDir);
+    
+    // yt-dlp fills in the extension; the final name is known once it finishes
+    const baseName = fileBaseName(download);
+    const outputTemplate = path.join(platformDir, `${baseName}.%(ext)s`);
+    jobStore.update(downloadId, { outputDir: platformDir, status: 'downloading', stage: undefined, error: undefined });
+
+    // A resumed download keeps its progress; yt-dlp continues the .part file
+    const resumedProgress = download.progress || 0;
+    emitToDownload(downloadId, 'download_progress', {
+      downloadId,
+      progress: resumedProgress,
+      status: 'downloading',
+      stage: resumedProgress > 0 ? 'Resuming download...' : 'Starting download...'
+    });
+
+    const { spawn } = require('child_process');
+    // Audio is fetched as-is and converted by ffmpeg afterwards, so keep it apart from the final name
+    const audioSelector = formatId && FORMAT_ID_PATTERN.test(formatId) ? `${formatId}/bestaudio/best` : 'bestaudio/best';
+    const ytdlpArgs = quality === 'Audio Only'
+      ? [url, '--no-playlist', '--format', audioSelector, '--output', path.join(platformDir, `${baseName}.source.%(ext)s`)]
+      : [
+          url,
+          '--extractor-args', 'youtube:player_client=android',
+          '--no-check-certificate',
+          '--no-playlist',
+          '--format', buildFormatSelector({
+            formatId,
+            quality,
+            container: format,
+            avoidWatermark: Boolean(watermark && watermark.preferCleanFormat)
+          }),
+          '--merge-output-format', format,
+          '--remux-video', format,
+          '--output', outputTemplate
+        ];
+    // yt-dlp uses ffmpeg for merging, cutting and subtitle conversion
+    ytdlpArgs.push('--continue', '--newline', '--progress-template', PROGRESS_TEMPLATE, '--ffmpeg-location', ffmpegPath);
+
+    // Only the clip's range is fetched; cutting at exact timestamps needs the keyframes forced
+    if (clip) {
+      const end = clip.end === null ? 'inf' : clip.end;
+      ytdlpArgs.push('--download-sections', `*${clip.start}-${end}`, '--force-keyframes-at-cuts');
+    }
+
+    if (subtitles) {
+      ytdlpArgs.push(...subtitleArgs(subtitles, path.join(platformDir, baseName)));
+    }
+
+    ytdlpArgs.push(...infoJsonArgs(path.join(platformDir, baseName)));
+    if (embedMetadata) {
+      ytdlpArgs.push(...coverArtArgs(path.join(platformDir, baseName)));
+    }
+    
+    const ytdlp = spawn('yt-dlp', ytdlpArgs);
+    
+    // Store process for pause/cancel functionality
+    downloadProcesses.set(downloadId, ytdlp);
+
+    // The queue slot is held until yt-dlp exits
+    const exited = new Promise(resolve => ytdlp.once('close', resolve));
+
+    ytdlp.on('error', (error) => {
+      // 'close' still follows, with a non-zero code
+      console.error('Failed to start yt-dlp:', error.message);
+    });
+
+    // Relay yt-dlp's own progress, throttled so the socket isn't flooded
+    let stdoutBuffer = '';
+    let lastProgressEmit = 0;
+    ytdlp.stdout.on('data', (data) => {
+      stdoutBuffer += data.toString();
+      const lines = stdoutBuffer.split(/\r?\n/);
+      stdoutBuffer = lines.pop();
+
+      lines.forEach(line => {
+        const update = parseProgressLine(line);
+        if (!update) return;
+
+        const now = Date.now();
+        if (update.status !== 'finished' && now - lastProgressEmit < 500) return;
+        lastProgressEmit = now;
+
+        // Kept on the job so a pause can record where it got to
+        download.progress = overallProgress(download, 'download', update.percent);
+
+        emitStageProgress(downloadId, 'download', update.percent, {
+          status: 'downloading',
+          downloaded: update.downloaded,
+          total: update.total,
+          speed: update.speed >= 1 ? `${formatFileSize(update.speed)}/s` : null,
+          eta: update.eta || null
+        });
+      });
+    });
+    
+    ytdlp.stderr.on('data', (data) => {
+      console.log('yt-dlp:', data.toString());
+    });
+    
+    ytdlp.on('close', async (code) => {
+      downloadProcesses.delete(downloadId);
+
+      // Killed by the pause route; the partial file stays for resuming
+      if (download.status === 'paused') return;
+
+      const filename = code === 0 ? findDownloadedFile(platformDir, baseName) : null;
+      
+      if (filename) {
+        // Null once the job was cancelled or cleaned up while yt-dlp ran
+        const finished = jobStore.update(downloadId, {
+          filename,
+          filePath: path.join(platformDir, filename),
+          // Embedded tracks live inside the video, so only separate files are listed
+          subtitleFiles: subtitles && subtitles.mode !== 'embed' ? findSubtitleFiles(platformDir, baseName) : undefined
+        });
+        if (!finished) return;
+
+        const burnSubtitles = subtitles && subtitles.mode === 'burn' && finished.subtitleFiles.length > 0;
+
+        if (watermark && watermark.preferCleanFormat) {
+          const info = await readInfoJson(platformDir, baseName);
+          const cleanFormat = Boolean(info) && !WATERMARKED_FORMAT_PATTERN.test(info.format_note || '');
+          // Cancelled while the info file was read
+          if (!jobStore.update(downloadId, { watermark: { ...watermark, cleanFormat } })) return;
+        }
+
+        // Every ffmpeg step, audio conversions included, waits for an enhancement slot
+        if (quality === 'Audio Only' || burnSubtitles || hasEnhancements(enhancements) ||
+          needsWatermarkPass(download) || download.compress) {
+          enqueueProcessing(downloadId);
+        } else {
+          emitToDownload(downloadId, 'download_progress', { downloadId, progress: 100, status: 'complete' });
+          completeDownload(downloadId, platformDir, filename);
+        }
+      } else {
+        console.error(`yt-dlp failed with code ${code}`);
+        failDownload(downloadId, 'Download failed');
+      }
+    });
+
+    await exited;
+
+  } catch (error) {
+    console.error('Download error:', error);
+    failDownload(downloadId, 'Download failed: ' + error.message);
+    downloadProcesses.delete(downloadId);
+  }
+}
+
+// Failed jobs stay in the store so their state can still be looked up
+function failDownload(downloadId, error) {
+  // A cancelled job's processes fail once they're killed; there's nobody left to tell
+  if (!jobStore.update(downloadId, { status: 'failed', error, url: undefined })) return;
+  emitToDownload(downloadId, 'download_error', { downloadId, error });
+}
+
+
+
+function convertAudio(downloadId, outputDir) {
+  const download = jobStore.get(downloadId);
+  if (!download) return;
+
+  const spec = AUDIO_FORMATS[download.format];
+  const inputPath = path.join(outputDir, download.filename);
+  const filename = `${fileBaseName(download)}.${download.format}`;
+  const outputPath = path.join(outputDir, filename);
+
+  const stage = `Converting to ${spec.label}`;
+  jobStore.update(downloadId, { status: 'converting' });
+  emitStageProgress(downloadId, 'convert', 0, { status: 'converting', stage });
+
+  let command = trimLocalFile(ffmpeg(inputPath), download)
+    .noVideo()
+    .audioCodec(spec.codec)
+    .format(spec.muxer);
+
+  if (!spec.lossless) {
+    command = command.audioBitrate(download.audioBitrate);
+  }
+
+  const audioFilters = buildFilterChain(download.enhancements && download.enhancements.filters, 'audio', {
+    rnnoiseModelPath: RNNOISE_MODEL_PATH
+  });
+  if (audioFilters.length > 0) {
+    command = command.audioFilters(audioFilters.join(','));
+  }
+
+  trackFfmpegProgress(command, ({ percent, speed, eta }) => {
+    emitStageProgress(downloadId, 'convert', percent, { status: 'converting', stage, speed, eta });
+  }, localClip(download));
+
+  // Resolves once ffmpeg is done either way, for callers holding an enhancement slot
+  const finished = new Promise(resolve => {
+    command.once('end', resolve);
+    command.once('error', resolve);
+  });
+
+  command
+    .on('start', () => downloadProcesses.set(downloadId, command))
+    .on('end', () => {
+      downloadProcesses.delete(downloadId);
+      fs.remove(inputPath).catch(e => console.error('Failed to remove audio source:', e));
+      jobStore.update(downloadId, { filename, filePath: outputPath });
+      completeDownload(downloadId, outputDir, filename);
+    })
+    .on('error', (error) => {
+      downloadProcesses.delete(downloadId);
+      console.error('Audio conversion failed:', error.message);
+      fs.remove(outputPath).catch(() => {});
+      failDownload(downloadId, 'Audio conversion failed');
+    })
+    .save(outputPath);
+
+  return finished;
+}
+
+async function applyEnhancements(downloadId, outputDir, enhancements) {
+  try {
+    jobStore.update(downloadId, { status: 'enhancing' });
+    emitStageProgress(downloadId, 'enhance', 0, { status: 'enhancing', stage: 'Starting enhancement...' });
+
+    // Use the file yt-dlp produced for this download
+    const download = jobStore.get(downloadId);
+    const videoFile = download && download.filename;
+    
+    if (!videoFile || !fs.existsSync(path.join(outputDir, videoFile))) {
+      throw new Error('Downloaded file not found');
+    }
+
+    // Downloads keep their container; local files may be converted to another one
+    const container = VIDEO_CONTAINERS.includes(download.format) ? download.format : path.extname(videoFile).slice(1);
+    const outputName = `${fileBaseName(download)}.${container}`;
+    const inputPath = path.join(outputDir, videoFile);
+    const outputPath = path.join(outputDir, `enhanced_${outputName}`);
+
+    console.log('Starting enhancement:', inputPath, '->', outputPath);
+
+    let enhancementCompleted = false;
+    let enhancementTimeout;
+    let runningCommand = null;
+
+    // Registered like yt-dlp, so cancelling the job stops whichever ffmpeg is running.
+    // A step that starts after the job was cancelled is stopped straight away
+    const setRunning = (running) => {
+      runningCommand = running;
+      if (!jobStore.has(downloadId)) {
+        running.kill('SIGKILL');
+        return;
+      }
+      downloadProcesses.set(downloadId, running);
+    };
+
+    // ffmpeg is only killed once it goes quiet, so long files can finish. Any status line
+    // counts: without a known input duration there are no progress callbacks
+    const restartStallTimer = () => {
+      clearTimeout(enhancementTimeout);
+      enhancementTimeout = setTimeout(() => {
+        if (!enhancementCompleted && runningCommand) {
+          console.log('Enhancement stalled, killing process');
+          runningCommand.kill('SIGKILL');
+        }
+      }, ENHANCEMENT_STALL_TIMEOUT);
+    };
+
+    // Frame-based upscalers make their own pass first; the ffmpeg pass below then reads
+    // their output. If that pass fails, the lanczos filter is used instead
+    let upscaler = upscalers.get(enhancements.upscaler);
+    const targetHeight = enhancements.targetHeight || DEFAULT_UPSCALE_TARGET;
+    const upscaledPath = path.join(outputDir, `upscaled_${fileBaseName(download)}.mkv`);
+    let sourcePath = inputPath;
+
+    if (enhancements.aiUpscaling && upscaler.upscaleFile) {
+      try {
+        const upscaled = await upscaler.upscaleFile({
+          inputPath,
+          outputPath: upscaledPath,
+          targetHeight,
+          onStart: setRunning,
+          onProgress: ({ percent, speed, eta }) => {
+            emitStageProgress(downloadId, 'upscale', percent, {
+              status: 'enhancing',
+              stage: `${upscaler.label} upscaling`,
+              speed,
+              eta
+            });
+          }
+        });
+        if (upscaled) sourcePath = upscaledPath;
+      } catch (error) {
+        await fs.remove(upscaledPath).catch(() => {});
+        if (!jobStore.has(downloadId)) return;
+        console.error(`${upscaler.label} upscaling failed, using lanczos:`, error.message);
+        upscaler = upscalers.get('lanczos');
+      }
+    }
+
+    // Build FFmpeg command with enhancements
+    const isWebm = container === 'webm';
+    let command = trimLocalFile(ffmpeg(sourcePath), download)
+      .audioCodec(isWebm ? 'libopus' : 'aac')
+      .format(container === 'mkv' ? 'matroska' : container);
+
+    // Preset and custom filters run at the source resolution, before upscaling enlarges any noise
+    const filters = buildFilterChain(enhancements.filters);
+
+    // The watermark goes first, before other filters smear it. The region is in percent,
+    // so it's placed on whatever the ffmpeg pass reads, upscaled or not
+    if (needsWatermarkPass(download)) {
+      const frame = await probeVideo(ffmpegPath, sourcePath);
+      filters.unshift(buildWatermarkFilter(download.watermark, frame));
+    }
+    const audioFilters = buildFilterChain(enhancements.filters, 'audio', { rnnoiseModelPath: RNNOISE_MODEL_PATH });
+
+    if (enhancements.aiUpscaling && upscaler.videoFilter) {
+      filters.push(upscaler.videoFilter(targetHeight));
+    }
+
+    // Burned subtitles go last so they aren't scaled or color-corrected
+    if (download.subtitles && download.subtitles.mode === 'burn' && download.subtitleFiles.length > 0) {
+      filters.push(burnSubtitlesFilter(path.join(outputDir, download.subtitleFiles[0].filename)));
+    }
+
+    // With only audio filters chosen the video stream is copied untouched, unless a local
+    // file changes container, is trimmed (copying cuts at keyframes) or is compressed
+    const videoCodec = isWebm ? 'libvpx-vp9' : 'libx264';
+    const reencode = filters.length > 0 || download.compress || download.source === 'upload';
+    command = command.videoCodec(reencode ? videoCodec : 'copy');
+
+    if (filters.length > 0) {
+      command = command.videoFilters(filters.join(','));
+    }
+
+    if (audioFilters.length > 0) {
+      command = command.audioFilters(audioFilters.join(','));
+    }
+
+    // A target size is met with a two-pass encode: the first pass only analyses the video,
+    // so each pass gets half of the stage's progress
+    const targetSize = download.compress && download.compress.targetSize;
+
+    // A download can fall back to its original file, unless that would miss the target
+    // size; a conversion has nothing to hand out
+    const completeWithOriginal = () => {
+      if (targetSize) {
+        failDownload(downloadId, `Compressing to ${targetSize} MB failed`);
+      } else if (download.source === 'upload') {
+        failDownload(downloadId, 'Conversion failed');
+      } else {
+        completeDownload(downloadId, outputDir, videoFile);
+      }
+    };
+    const passLogFile = path.join(outputDir, `${fileBaseName(download)}.2pass`);
+    const passes = targetSize ? 2 : 1;
+    const reportProgress = (pass, stage) => ({ percent, speed, eta }) => {
+      emitStageProgress(downloadId, 'enhance', ((pass - 1) * 100 + percent) / passes, {
+        status: 'enhancing',
+        stage,
+        speed,
+        eta
+      });
+    };
+
+    if (targetSize) {
+      const { duration } = await probeVideo(ffmpegPath, sourcePath);
+      const clip = localClip(download);
+      const bitrates = targetBitrates(targetSize, clip ? (clip.end === null ? duration : clip.end) - clip.start : duration);
+      if (!bitrates) {
+        await fs.remove(upscaledPath).catch(() => {});
+        failDownload(downloadId, `${targetSize} MB is too small for a video this long`);
+        return;
+      }
+
+      await runFirstPass({
+        inputPath: sourcePath,
+        download,
+        filters,
+        videoCodec,
+        videoBitrate: bitrates.video,
+        passLogFile,
+        onStart: firstPass => {
+          setRunning(firstPass);
+          firstPass.on('stderr', restartStallTimer);
+          restartStallTimer();
+        },
+        onProgress: reportProgress(1, 'Analyzing for target size')
+      });
+      command = command
+        .videoBitrate(bitrates.video)
+        .audioBitrate(bitrates.audio)
+        .outputOptions(['-pass', '2', '-passlogfile', passLogFile]);
+    } else if (download.compress) {
+      const level = COMPRESSION_LEVELS[download.compress.level];
+      command = command
+        .outputOptions(isWebm ? ['-crf', String(level.vp9), '-b:v', '0'] : ['-crf', String(level.x264), '-preset', 'medium'])
+        .audioBitrate(level.audioBitrate);
+    }
+
+    trackFfmpegProgress(command, reportProgress(passes, targetSize ? `Compressing to ${targetSize} MB` : 'Enhancing'), localClip(download));
+
+    // Resolves once ffmpeg is done either way, freeing the enhancement slot
+    const finished = new Promise(resolve => {
+      command.once('end', resolve);
+      command.once('error', resolve);
+    });
 
     command
       .output(outputPath)
+      .on('stderr', restartStallTimer)
       .on('start', (commandLine) => {
         console.log('Enhancement started with command:', commandLine);
-        enhancementTimeout = setTimeout(() => {
-          if (!enhancementCompleted) {
-            console.log('Enhancement timeout, killing process');
-            command.kill('SIGKILL');
-          }
-        }, 300000); // 5 minute timeout
+        setRunning(command);
+        restartStallTimer();
       })
       .on('end', () => {
         enhancementCompleted = true;
         clearTimeout(enhancementTimeout);
-        clearInterval(progressInterval);
         console.log('Enhancement completed successfully');
         
         try {
           if (fs.existsSync(outputPath)) {
             if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-            fs.renameSync(outputPath, inputPath);
-            completeDownload(downloadId, outputDir, videoFile);
+            fs.renameSync(outputPath, path.join(outputDir, outputName));
+            jobStore.update(downloadId, { filename: outputName, filePath: path.join(outputDir, outputName) });
+            completeDownload(downloadId, outputDir, outputName);
           } else {
-            console.error('Enhanced file not found, using original');
-            completeDownload(downloadId, outputDir, videoFile);
+            console.error('Enhanced file not found');
+            completeWithOriginal();
           }
         } catch (error) {
           console.error('Error finalizing enhancement:', error);
-          completeDownload(downloadId, outputDir, videoFile);
+          completeWithOriginal();
         }
       })
       .on('error', (error) => {
         enhancementCompleted = true;
         clearTimeout(enhancementTimeout);
-        clearInterval(progressInterval);
         console.error('Enhancement failed:', error.message);
         
         // Clean up partial output file
@@ -512,86 +2334,132 @@ async function applyEnhancements(downloadId, outputDir, enhancements) {
             console.error('Failed to clean up partial file:', e);
           }
         }
-        
-        completeDownload(downloadId, outputDir, videoFile);
+
+        completeWithOriginal();
       })
       .run();
 
+    await finished;
+    downloadProcesses.delete(downloadId);
+    await fs.remove(upscaledPath).catch(() => {});
+    await removePassLogs(passLogFile);
+
   } catch (error) {
+    downloadProcesses.delete(downloadId);
+    const download = jobStore.get(downloadId);
+    // Cancelled: cancelJob already stopped ffmpeg and removed the files
+    if (!download) return;
+
     console.error('Enhancement setup error:', error);
-    completeDownload(downloadId, outputDir);
+    if (download) {
+      await removePassLogs(path.join(outputDir, `${fileBaseName(download)}.2pass`));
+    }
+    if (download && download.compress && download.compress.targetSize) {
+      failDownload(downloadId, `Compressing to ${download.compress.targetSize} MB failed`);
+    } else if (download && download.source === 'upload') {
+      failDownload(downloadId, 'Conversion failed');
+    } else {
+      completeDownload(downloadId, outputDir);
+    }
   }
 }
 
-function completeDownload(downloadId, outputDir, filename) {
+// The download_complete payload, rebuilt from the finished job
+function completionPayload(download) {
+  return {
+    downloadId: download.id,
+    fileName: download.filename,
+    fileUrl: fileUrl(download),
+    downloadName: download.downloadName,
+    fileSize: download.fileSize,
+    targetSize: download.compress ? download.compress.targetSize : undefined,
+    processingTime: new Date(download.completedAt).getTime() - new Date(download.createdAt).getTime(),
+    platform: path.basename(download.outputDir)
+  };
+}
+
+async function completeDownload(downloadId, outputDir, filename) {
   try {
-    const download = activeDownloads.get(downloadId);
+    const download = jobStore.get(downloadId);
     if (!download) return;
 
-    // Find the final file if filename not provided
+    // Fall back to the file recorded for this download
     if (!filename) {
-      const files = fs.readdirSync(outputDir);
-      filename = files.find(f => f.includes('mp4') || f.includes('mp3') || f.includes('mkv'));
+      filename = download.filename;
     }
 
     const filePath = path.join(outputDir, filename);
     if (!fs.existsSync(filePath)) {
       console.error('File not found:', filePath);
-      io.emit('download_error', { downloadId, error: 'File not found after processing' });
+      failDownload(downloadId, 'File not found after processing');
       return;
     }
 
+    const baseName = fileBaseName(download);
+    const info = await readInfoJson(outputDir, baseName);
+    if (download.embedMetadata) {
+      await embedMetadata(download, filePath, info);
+    }
+    await removeMetadataFiles(outputDir, baseName);
+
     const stats = fs.statSync(filePath);
+    const downloadName = buildDownloadName(download, info, filename);
+    jobStore.update(downloadId, {
+      status: 'complete',
+      progress: 100,
+      filename,
+      filePath,
+      downloadName,
+      fileSize: stats.size,
+      completedAt: new Date().toISOString(),
+      url: undefined
+    });
+
+    // Burned subtitles are part of the picture now, so only 'file' mode hands them out
+    const subtitles = download.subtitles && download.subtitles.mode === 'file'
+      ? (download.subtitleFiles || []).map(({ language, filename: subtitleFile }) => ({
+          language,
+          format: path.extname(subtitleFile).slice(1),
+          downloadUrl: fileUrl(download, subtitleFile)
+        }))
+      : [];
 
     // Emit download_ready for browser download
-    io.emit('download_ready', {
+    emitToDownload(downloadId, 'download_ready', {
       downloadId,
-      downloadUrl: `/api/download/${downloadId}`
+      downloadUrl: fileUrl(download),
+      downloadName,
+      fileSize: stats.size,
+      targetSize: download.compress ? download.compress.targetSize : undefined,
+      subtitles
     });
 
     // Also emit download_complete for UI update
-    io.emit('download_complete', {
-      downloadId,
-      filePath: filePath,
-      fileName: filename,
-      fileSize: stats.size,
-      processingTime: Date.now() - (download.startTime || Date.now()),
-      platform: path.basename(path.dirname(filePath))
-    });
+    emitToDownload(downloadId, 'download_complete', completionPayload(download));
 
   } catch (error) {
     console.error('Complete download error:', error);
-    io.emit('download_error', {
-      downloadId,
-      error: 'Failed to finalize download'
-    });
-    activeDownloads.delete(downloadId);
+    failDownload(downloadId, 'Failed to finalize download');
   }
 }
 
-// File management routes
+// File management routes. Only finished jobs' files are listed, each with a signed link
 app.get('/api/downloads', (req, res) => {
   try {
-    const files = [];
-    const platforms = fs.readdirSync(DOWNLOADS_DIR);
-    
-    platforms.forEach(platform => {
-      const platformPath = path.join(DOWNLOADS_DIR, platform);
-      if (fs.statSync(platformPath).isDirectory()) {
-        const platformFiles = fs.readdirSync(platformPath);
-        platformFiles.forEach(file => {
-          const filePath = path.join(platformPath, file);
-          const stats = fs.statSync(filePath);
-          files.push({
-            name: file,
-            platform,
-            size: stats.size,
-            created: stats.birthtime,
-            path: filePath
-          });
-        });
-      }
-    });
+    const files = ownJobs(req)
+      .filter(job => job.status === 'complete' && job.filePath && resolveDownloadPath(job.filePath))
+      .filter(job => fs.existsSync(job.filePath))
+      .map(job => {
+        const stats = fs.statSync(job.filePath);
+        return {
+          downloadId: job.id,
+          name: job.downloadName || job.filename,
+          platform: path.basename(job.outputDir),
+          size: stats.size,
+          created: stats.birthtime,
+          downloadUrl: fileUrl(job)
+        };
+      });
 
     res.json({ success: true, files });
   } catch (error) {
@@ -599,48 +2467,47 @@ app.get('/api/downloads', (req, res) => {
   }
 });
 
-app.delete('/api/downloads/:filename', (req, res) => {
-  try {
-    const { filename } = req.params;
-    const { platform } = req.query;
-    
-    const filePath = path.join(DOWNLOADS_DIR, platform, filename);
-    
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      res.json({ success: true });
-    } else {
-      res.status(404).json({ success: false, error: 'File not found' });
+// Stops a job wherever it is and removes it with its files
+function cancelJob(downloadId) {
+  const process = downloadProcesses.get(downloadId);
+  const download = jobStore.get(downloadId);
+
+  downloadQueue.remove(downloadId);
+  enhancementQueue.remove(downloadId);
+  liveProgress.delete(downloadId);
+  closeJobStreams(downloadId);
+
+  if (process) {
+    process.kill('SIGTERM'); // Terminate the process
+    downloadProcesses.delete(downloadId);
+  }
+
+  if (download) {
+    // Clean up the finished file and any partial or work files
+    if (download.outputDir && fs.existsSync(download.outputDir)) {
+      fs.readdirSync(download.outputDir)
+        .filter(file => isJobFile(download, file))
+        .forEach(file => {
+          try {
+            fs.unlinkSync(path.join(download.outputDir, file));
+          } catch (e) {
+            console.error('Failed to clean up file:', e);
+          }
+        });
     }
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to delete file' });
+    jobStore.delete(downloadId);
   }
-});
+}
 
 // Cancel download endpoint
 app.post('/api/download/:downloadId/cancel', (req, res) => {
   try {
     const { downloadId } = req.params;
-    const process = downloadProcesses.get(downloadId);
-    const download = activeDownloads.get(downloadId);
-    
-    if (process) {
-      process.kill('SIGTERM'); // Terminate the process
-      downloadProcesses.delete(downloadId);
+    if (!findOwnJob(req, downloadId) && jobStore.has(downloadId)) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
     }
-    
-    if (download) {
-      // Clean up partial files
-      if (download.filePath && fs.existsSync(download.filePath)) {
-        try {
-          fs.unlinkSync(download.filePath);
-        } catch (e) {
-          console.error('Failed to clean up file:', e);
-        }
-      }
-      activeDownloads.delete(downloadId);
-    }
-    
+
+    cancelJob(downloadId);
     res.json({ success: true, message: 'Download cancelled' });
   } catch (error) {
     console.error('Cancel error:', error);
@@ -648,37 +2515,77 @@ app.post('/api/download/:downloadId/cancel', (req, res) => {
   }
 });
 
-// Cleanup endpoint for immediate file deletion
+// Pause/resume endpoints (the id may come from the path or the JSON body)
+app.post(['/api/download/pause', '/api/download/:downloadId/pause'], (req, res) => {
+  try {
+    const downloadId = req.params.downloadId || req.body.downloadId;
+    const download = findOwnJob(req, downloadId);
+    const process = downloadProcesses.get(downloadId);
+
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
+    }
+
+    // Queued downloads just leave the queue; running ones have yt-dlp stopped
+    const wasQueued = downloadQueue.remove(downloadId);
+    if (!wasQueued && (!process || download.status !== 'downloading')) {
+      return res.status(409).json({ success: false, error: 'Only active downloads can be paused' });
+    }
+
+    jobStore.update(downloadId, { status: 'paused', progress: download.progress || 0 });
+    // The process stays registered until it has exited, so a resume can't race it
+    if (process) {
+      process.kill('SIGTERM');
+    }
+
+    emitToDownload(downloadId, 'download_progress', {
+      downloadId,
+      progress: download.progress || 0,
+      status: 'paused',
+      stage: 'Paused'
+    });
+
+    res.json({ success: true, status: 'paused' });
+  } catch (error) {
+    console.error('Pause error:', error);
+    res.status(500).json({ success: false, error: 'Failed to pause download' });
+  }
+});
+
+app.post(['/api/download/resume', '/api/download/:downloadId/resume'], (req, res) => {
+  try {
+    const downloadId = req.params.downloadId || req.body.downloadId;
+    const download = findOwnJob(req, downloadId);
+
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
+    }
+
+    if (download.status !== 'paused' || !download.url) {
+      return res.status(409).json({ success: false, error: 'Download is not paused' });
+    }
+    if (downloadProcesses.has(downloadId)) {
+      return res.status(409).json({ success: false, error: 'Download is still pausing, try again in a moment' });
+    }
+
+    enqueueDownload(downloadId);
+    res.json({ success: true, status: download.status, queuePosition: downloadQueue.position(downloadId) });
+  } catch (error) {
+    console.error('Resume error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resume download' });
+  }
+});
+
+// Cleanup endpoint for immediate file deletion. Same as cancelling: a job that is
+// still running is stopped first
 app.delete('/api/cleanup/:downloadId', (req, res) => {
   try {
     const { downloadId } = req.params;
-    const download = activeDownloads.get(downloadId);
-    
-    if (download && download.filePath && fs.existsSync(download.filePath)) {
-      fs.unlinkSync(download.filePath);
-      console.log(`Cleaned up file: ${download.filePath}`);
-    }
-    
-    // Also clean up any remaining files with the downloadId in the name
-    if (download) {
-      const platformDir = path.dirname(download.filePath);
-      try {
-        const files = fs.readdirSync(platformDir);
-        files.forEach(file => {
-          if (file.includes(downloadId)) {
-            const filePath = path.join(platformDir, file);
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              console.log(`Cleaned up remaining file: ${filePath}`);
-            }
-          }
-        });
-      } catch (e) {
-        console.error('Error cleaning up remaining files:', e);
-      }
+    if (!findOwnJob(req, downloadId) && jobStore.has(downloadId)) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
     }
-    
-    activeDownloads.delete(downloadId);
+
+    cancelJob(downloadId);
     res.json({ success: true });
   } catch (error) {
     console.error('Cleanup error:', error);
@@ -692,13 +2599,28 @@ cron.schedule('0 * * * *', () => {
   const maxAge = 2 * 60 * 60 * 1000; // 2 hours
   const now = Date.now();
   
+  // Forget finished jobs once they are older than the files they point to
+  jobStore.values().forEach(job => {
+    const finished = ['complete', 'failed'].includes(job.status);
+    if (finished && now - new Date(job.updatedAt).getTime() > maxAge) {
+      jobStore.delete(job.id);
+    }
+  });
+  jobStore.compact();
+
+  // Queued, paused and running jobs keep their sources and partial files however old
+  const activeJobs = jobStore.values().filter(job => !['complete', 'failed'].includes(job.status) && job.outputDir);
+
   try {
     const platforms = fs.readdirSync(DOWNLOADS_DIR);
     platforms.forEach(platform => {
       const platformPath = path.join(DOWNLOADS_DIR, platform);
       if (fs.statSync(platformPath).isDirectory()) {
+        const folderJobs = activeJobs.filter(job => path.resolve(job.outputDir) === path.resolve(platformPath));
         const files = fs.readdirSync(platformPath);
         files.forEach(file => {
+          if (folderJobs.some(job => isJobFile(job, file))) return;
+
           const filePath = path.join(platformPath, file);
           const stats = fs.statSync(filePath);
           if (now - stats.birthtime.getTime() > maxAge) {
@@ -713,11 +2635,62 @@ cron.schedule('0 * * * *', () => {
   }
 });
 
+// Jobs that were running when the server stopped can't pick up where they were,
+// except plain downloads: yt-dlp can continue those from their .part files. Jobs
+// still waiting in a queue take their turn again
+function reconcileInterruptedJobs() {
+  jobStore.values().forEach(job => {
+    if (job.status === 'complete') {
+      if (!job.filePath || !fs.existsSync(job.filePath)) {
+        jobStore.delete(job.id);
+      }
+      return;
+    }
+
+    if (job.status === 'failed') return;
+
+    if (job.status === 'queued' && job.filePath && fs.existsSync(job.filePath)) {
+      enqueueProcessing(job.id);
+    } else if (job.status === 'queued' && job.url) {
+      enqueueDownload(job.id);
+    } else if (['starting', 'downloading', 'paused'].includes(job.status) && job.url) {
+      jobStore.update(job.id, { status: 'paused', stage: 'Interrupted by server restart' });
+    } else {
+      jobStore.update(job.id, { status: 'failed', error: 'Interrupted by server restart', url: undefined });
+    }
+  });
+}
+
+reconcileInterruptedJobs();
+
+// With accounts on, sockets sign in with the same session token or API key as the REST routes
+io.use((socket, next) => {
+  if (AUTH_MODE === 'none') return next();
+
+  const { auth = {}, headers } = socket.handshake;
+  const user = userStore.resolveToken(auth.token || bearerToken(headers.authorization));
+  if (!user) return next(new Error('Sign in required'));
+
+  socket.data.user = user;
+  next();
+});
+
 // Socket.io connection handling with privacy
 io.on('connection', (socket) => {
-  // Generate anonymous session ID
-  const anonymousId = 'anon_' + Math.random().toString(36).substr(2, 9);
-  console.log('Anonymous client connected:', anonymousId);
+  // The session ID grants access to its jobs, so it's never logged
+  console.log('Anonymous client connected');
+
+  // Reconnecting clients send their previous session ID to rejoin its room
+  const requestedSession = socket.handshake.auth && socket.handshake.auth.sessionId;
+  const sessionId = typeof requestedSession === 'string' && SESSION_ID_PATTERN.test(requestedSession)
+    ? requestedSession
+    : crypto.randomUUID();
+  socket.data.sessionId = sessionId;
+  socket.join(sessionRoom(sessionId));
+  if (socket.data.user) {
+    socket.join(userRoom(socket.data.user.username));
+  }
+  socket.emit('session', { sessionId });
   
   // Remove IP tracking
   socket.handshake.address = 'anonymous';
@@ -725,10 +2698,397 @@ io.on('connection', (socket) => {
   delete socket.handshake.headers['x-real-ip'];
   
   socket.on('disconnect', () => {
-    console.log('Anonymous client disconnected:', anonymousId);
+    console.log('Anonymous client disconnected');
+  });
+});
+
+// Accounts. Without AUTH_MODE=local, /api/auth/me reports that no sign-in is needed
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    authRequired: AUTH_MODE === 'local',
+    user: req.user ? publicUser(req.user) : null
+  });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  if (AUTH_MODE === 'none') {
+    return res.status(404).json({ success: false, error: 'Accounts are disabled' });
+  }
+
+  try {
+    const { username, password } = req.body;
+    const user = await checkPassword(req, res, username, password, 'Wrong username or password');
+    if (!user) return;
+
+    res.json({ success: true, token: userStore.createSession(user.username), user: publicUser(user) });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ success: false, error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  userStore.endSession(bearerToken(req.headers.authorization));
+  res.json({ success: true });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  if (AUTH_MODE === 'none') {
+    return res.status(404).json({ success: false, error: 'Accounts are disabled' });
+  }
+
+  try {
+    const user = await checkPassword(req, res, req.user.username, req.body.currentPassword, 'Wrong password');
+    if (!user) return;
+
+    const { account, error } = normalizeAccount({ password: req.body.password }, { creating: false });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Changing the password signs out every session, including this one
+    await userStore.update(req.user.username, account);
+    res.json({ success: true, token: userStore.createSession(req.user.username) });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change the password' });
+  }
+});
+
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ success: true, users: userStore.values().map(publicUser) });
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+  const { account, error } = normalizeAccount(req.body, { creating: true });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  if (userStore.get(account.username)) {
+    return res.status(409).json({ success: false, error: 'That username is taken' });
+  }
+
+  try {
+    res.status(201).json({ success: true, user: publicUser(await userStore.create(account)) });
+  } catch (error) {
+    console.error('User creation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create the user' });
+  }
+});
+
+app.patch('/api/users/:username', requireAdmin, async (req, res) => {
+  if (!userStore.get(req.params.username)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  const { account, error } = normalizeAccount({ ...req.body, username: undefined }, { creating: false });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    res.json({ success: true, user: publicUser(await userStore.update(req.params.username, account)) });
+  } catch (error) {
+    console.error('User update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update the user' });
+  }
+});
+
+// The user's jobs stay until the hourly cleanup removes them with their files
+app.delete('/api/users/:username', requireAdmin, (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(409).json({ success: false, error: 'Admins cannot delete themselves' });
+  }
+  if (!userStore.delete(req.params.username)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  res.json({ success: true });
+});
+
+// Versioned public API. Unlike the routes the web app uses, responses have fixed
+// shapes (described in openapi.js), and errors are { error: { code, message } }
+// with a matching HTTP status
+const API_ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error'
+};
+
+function sendApiError(res, status, message) {
+  res.status(status).json({ error: { code: API_ERROR_CODES[status], message } });
+}
+
+function serializeFormat(format) {
+  return {
+    id: format.formatId || null,
+    quality: format.quality,
+    container: format.format,
+    label: format.label || null,
+    fileSize: format.fileSize || null,
+    fps: format.fps || null,
+    videoCodec: format.vcodec && format.vcodec !== 'none' ? format.vcodec : null,
+    audioCodec: format.acodec && format.acodec !== 'none' ? format.acodec : null,
+    lossless: Boolean(format.lossless),
+    watermarked: Boolean(format.watermarked)
+  };
+}
+
+function serializeAnalysis({ videoData, playlistData }) {
+  if (playlistData) {
+    return {
+      type: 'playlist',
+      id: playlistData.id || null,
+      title: playlistData.title || null,
+      platform: playlistData.platform,
+      uploader: playlistData.uploader || null,
+      isChannel: playlistData.isChannel,
+      entryCount: playlistData.entryCount,
+      truncated: playlistData.truncated,
+      entries: playlistData.entries.map(({ index, id, title, duration, thumbnail, url }) => ({
+        index, id: id || null, title, duration, thumbnail, url
+      }))
+    };
+  }
+
+  return {
+    type: 'video',
+    title: videoData.title,
+    platform: videoData.platform,
+    duration: videoData.duration || null,
+    thumbnail: videoData.thumbnail || null,
+    uploader: videoData.uploader || null,
+    viewCount: videoData.viewCount || null,
+    uploadDate: videoData.uploadDate || null,
+    formats: videoData.formats.map(serializeFormat),
+    subtitles: videoData.subtitles,
+    subtitleFormats: videoData.subtitleFormats,
+    audioBitrates: videoData.audioBitrates,
+    defaultAudioBitrate: videoData.defaultAudioBitrate,
+    compressTargetSizes: videoData.compressTargetSizes,
+    watermarkRemoval: videoData.watermarkRemoval,
+    enhancementOptions: {
+      filters: videoData.enhancementOptions.filters,
+      presets: videoData.enhancementOptions.presets,
+      upscalers: videoData.enhancementOptions.upscalers,
+      upscaleTargets: videoData.enhancementOptions.upscaleTargets,
+      defaultUpscaleTarget: videoData.enhancementOptions.defaultUpscaleTarget
+    }
+  };
+}
+
+function serializeFile(job) {
+  return {
+    jobId: job.id,
+    name: job.downloadName || job.filename,
+    platform: path.basename(job.outputDir),
+    size: job.fileSize,
+    createdAt: job.completedAt || job.updatedAt,
+    downloadUrl: fileUrl(job)
+  };
+}
+
+function serializeJob(job) {
+  const queuePosition = downloadQueue.position(job.id) || enhancementQueue.position(job.id);
+  // Live figures only exist while the job runs; a paused job keeps its last stage
+  const live = ['complete', 'failed'].includes(job.status) ? {} : liveProgress.get(job.id) || {};
+  return {
+    id: job.id,
+    type: job.source === 'upload' ? 'conversion' : 'download',
+    status: job.status,
+    stage: live.stage || job.stage || null,
+    progress: Math.round(live.progress ?? job.progress ?? 0),
+    stageProgress: live.stageProgress ?? null,
+    bytes: live.downloaded != null ? { downloaded: live.downloaded, total: live.total || null } : null,
+    speed: live.speed || null,
+    eta: live.eta ?? null,
+    queuePosition: queuePosition || null,
+    title: job.title || null,
+    quality: job.quality,
+    format: job.format,
+    batchId: job.batchId || null,
+    error: job.error || null,
+    file: job.status === 'complete' && job.filePath && fs.existsSync(job.filePath) ? serializeFile(job) : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+function serializeApiKey({ id, name, createdAt, lastUsedAt }) {
+  return { id, name, createdAt, lastUsedAt: lastUsedAt || null };
+}
+
+const apiV1 = express.Router();
+
+apiV1.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+apiV1.post('/analyze', async (req, res) => {
+  const { url } = req.body;
+  if (typeof url !== 'string' || !url.startsWith('http')) {
+    return sendApiError(res, 400, 'A valid video URL is required');
+  }
+
+  try {
+    res.json(serializeAnalysis(await analyzeUrl(url)));
+  } catch (error) {
+    console.error('Analysis error:', error);
+    sendApiError(res, 500, 'Failed to analyze the URL');
+  }
+});
+
+apiV1.post('/jobs', (req, res) => {
+  try {
+    const sessionId = req.body.sessionId || req.get('X-Session-Id');
+    const { downloadId, status, error } = queueDownloadRequest({ ...req.body, sessionId }, req.user);
+    if (error) {
+      return sendApiError(res, status, error);
+    }
+    res.status(202).json(serializeJob(jobStore.get(downloadId)));
+  } catch (error) {
+    console.error('Download initiation error:', error);
+    sendApiError(res, 500, 'Failed to start download');
+  }
+});
+
+// Newest first; `status` takes one status or a comma-separated list
+function listJobs(req, res) {
+  const statuses = typeof req.query.status === 'string'
+    ? req.query.status.split(',').map(status => status.trim()).filter(Boolean)
+    : [];
+  const unknown = statuses.find(status => !JOB_STATUSES.includes(status));
+  if (unknown) {
+    return sendApiError(res, 400, `Unknown status: ${unknown}. Use one of ${JOB_STATUSES.join(', ')}`);
+  }
+
+  const jobs = ownJobs(req)
+    .filter(job => statuses.length === 0 || statuses.includes(job.status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(serializeJob);
+  res.json({ jobs });
+}
+
+function getJob(req, res) {
+  const job = findOwnJob(req, req.params.id);
+  if (!job) {
+    return sendApiError(res, 404, 'Job not found');
+  }
+  res.json(serializeJob(job));
+}
+
+// Server-Sent Events for clients without socket.io: the job's current state first,
+// then its download_progress events until download_complete or download_error
+function streamJobEvents(req, res) {
+  const job = findOwnJob(req, req.params.id);
+  if (!job) {
+    return sendApiError(res, 404, 'Job not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform also keeps compression() from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Tells nginx not to buffer this response
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  if (job.status === 'complete') {
+    send('download_complete', completionPayload(job));
+    return res.end();
+  }
+  if (job.status === 'failed') {
+    send('download_error', { downloadId: job.id, error: job.error });
+    return res.end();
+  }
+  send('download_progress', liveProgress.get(job.id) || {
+    downloadId: job.id,
+    progress: job.progress || 0,
+    status: job.status,
+    stage: job.stage
+  });
+
+  if (!jobEventStreams.has(job.id)) {
+    jobEventStreams.set(job.id, new Set());
+  }
+  jobEventStreams.get(job.id).add(res);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), JOB_STREAM_HEARTBEAT);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = jobEventStreams.get(job.id);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) jobEventStreams.delete(job.id);
+    }
   });
+}
+
+apiV1.get('/jobs', listJobs);
+apiV1.get('/jobs/:id', getJob);
+apiV1.get('/jobs/:id/events', streamJobEvents);
+
+apiV1.delete('/jobs/:id', (req, res) => {
+  if (!findOwnJob(req, req.params.id)) {
+    return sendApiError(res, 404, 'Job not found');
+  }
+  cancelJob(req.params.id);
+  res.status(204).end();
+});
+
+apiV1.get('/files', (req, res) => {
+  const files = ownJobs(req)
+    .filter(job => job.status === 'complete' && job.filePath && resolveDownloadPath(job.filePath))
+    .filter(job => fs.existsSync(job.filePath))
+    .map(serializeFile);
+  res.json({ files });
+});
+
+// Personal API keys for scripts and CI, sent as `Authorization: Bearer <key>`
+apiV1.use('/keys', (req, res, next) => {
+  if (AUTH_MODE === 'none') {
+    return sendApiError(res, 404, 'API keys need AUTH_MODE=local; without accounts the API is open');
+  }
+  next();
+});
+
+apiV1.get('/keys', (req, res) => {
+  res.json({ keys: req.user.apiKeys.map(serializeApiKey) });
+});
+
+apiV1.post('/keys', (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > MAX_API_KEY_NAME_LENGTH) {
+    return sendApiError(res, 400, `Give the key a name of at most ${MAX_API_KEY_NAME_LENGTH} characters`);
+  }
+
+  // The key is only shown in this response
+  const { key, apiKey } = userStore.createApiKey(req.user.username, name);
+  res.status(201).json({ ...serializeApiKey(apiKey), key });
+});
+
+apiV1.delete('/keys/:id', (req, res) => {
+  if (!userStore.revokeApiKey(req.user.username, req.params.id)) {
+    return sendApiError(res, 404, 'API key not found');
+  }
+  res.status(204).end();
 });
 
+apiV1.use((req, res) => sendApiError(res, 404, 'No such endpoint'));
+
+app.use('/api/v1', apiV1);
+
+// Unversioned aliases for scripts that poll job state instead of listening on the socket
+app.get('/api/jobs', listJobs);
+app.get('/api/jobs/:id', getJob);
+app.get('/api/jobs/:id/events', streamJobEvents);
+
 // AI Chat endpoint
 app.post('/api/chat', async (req, res) => {
   try {
@@ -755,22 +3115,6 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Serve downloaded files
-app.get('/api/downloads/file/:platform/:filename', (req, res) => {
-  try {
-    const { platform, filename } = req.params;
-    const filePath = path.join(DOWNLOADS_DIR, platform, filename);
-    
-    if (fs.existsSync(filePath)) {
-      res.download(filePath, filename);
-    } else {
-      res.status(404).json({ error: 'File not found' });
-    }
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to serve file' });
-  }
-});
-
 // PWA endpoints
 app.post('/share-target', (req, res) => {
   res.redirect('/');
@@ -810,6 +3154,12 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Opened by the OS for files handed to the installed app (manifest file_handlers);
+// the page picks them up from window.launchQueue
+app.get('/handle-file', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`VidHarvest Pro server running on port ${PORT}`);
@@ -0,0 +1,68 @@
+// FIFO queue that runs at most `concurrency` async tasks at a time.
+// onChange receives the ids still waiting, in order, whenever that list moves.
+class TaskQueue {
+  constructor({ concurrency = 1, onChange = () => {} } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.onChange = onChange;
+    this.pending = [];
+    this.running = new Set();
+  }
+
+  push(id, run) {
+    if (this.has(id)) return;
+
+    this.pending.push({ id, run });
+    this.next();
+    this.onChange(this.pendingIds());
+  }
+
+  remove(id) {
+    const index = this.pending.findIndex(task => task.id === id);
+    if (index === -1) return false;
+
+    this.pending.splice(index, 1);
+    this.onChange(this.pendingIds());
+    return true;
+  }
+
+  has(id) {
+    return this.running.has(id) || this.pending.some(task => task.id === id);
+  }
+
+  isRunning(id) {
+    return this.running.has(id);
+  }
+
+  // 1-based place in line, or 0 when the task isn't waiting
+  position(id) {
+    return this.pending.findIndex(task => task.id === id) + 1;
+  }
+
+  pendingIds() {
+    return this.pending.map(task => task.id);
+  }
+
+  next() {
+    let started = false;
+
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const task = this.pending.shift();
+      this.running.add(task.id);
+      started = true;
+
+      Promise.resolve()
+        .then(task.run)
+        .catch(error => console.error(`Queued task ${task.id} failed:`, error))
+        .finally(() => {
+          this.running.delete(task.id);
+          if (this.next()) {
+            this.onChange(this.pendingIds());
+          }
+        });
+    }
+
+    return started;
+  }
+}
+
+module.exports = { TaskQueue };
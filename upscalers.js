@@ -0,0 +1,219 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+
+// Output heights users can pick; the source is never scaled down or past MAX_UPSCALE_FACTOR
+const UPSCALE_TARGETS = [720, 1080, 1440, 2160];
+const DEFAULT_UPSCALE_TARGET = 1080;
+const MAX_UPSCALE_FACTOR = 4;
+
+function evenHeight(height) {
+  return Math.floor(height / 2) * 2;
+}
+
+// Width, height, fps and duration from ffmpeg's own stream summary
+function probeVideo(ffmpegPath, inputPath) {
+  return new Promise((resolve, reject) => {
+    const probe = spawn(ffmpegPath, ['-hide_banner', '-i', inputPath]);
+    let stderr = '';
+    probe.stderr.on('data', data => { stderr += data.toString(); });
+    probe.on('error', reject);
+    probe.on('close', () => {
+      const size = stderr.match(/Video:.*?, (\d{2,5})x(\d{2,5})/);
+      const fps = stderr.match(/Video:.*?([\d.]+) fps/);
+      const duration = stderr.match(/Duration: (\d+):(\d+):([\d.]+)/);
+      if (!size) {
+        reject(new Error('No video stream found'));
+        return;
+      }
+
+      resolve({
+        width: Number(size[1]),
+        height: Number(size[2]),
+        fps: fps ? Number(fps[1]) : 30,
+        duration: duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : 0
+      });
+    });
+  });
+}
+
+// Interpolating upscaler that runs as one filter in the enhancement ffmpeg pass.
+// The height is worked out by ffmpeg, so no probing is needed: at least the source
+// height, at most MAX_UPSCALE_FACTOR times it, rounded to even for yuv420p encoders
+class FfmpegUpscaler {
+  constructor(id, label, flags) {
+    this.id = id;
+    this.label = label;
+    this.flags = flags;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  videoFilter(targetHeight) {
+    const height = `trunc(min(ih*${MAX_UPSCALE_FACTOR}\\,max(ih\\,${targetHeight}))/2)*2`;
+    return `scale=w=-2:h=${height}:flags=${this.flags}`;
+  }
+}
+
+// Super-resolution model run frame by frame on the CPU with onnxruntime-node.
+// The model takes float32 RGB in NCHW layout scaled to 0-1 and returns the same at
+// `scale` times the size. Frames are piped through ffmpeg as raw rgb24, and the
+// result is resized to the even target height afterwards
+class OnnxUpscaler {
+  constructor({ ffmpegPath, modelPath, scale }) {
+    this.id = 'neural';
+    this.label = 'Neural (ONNX)';
+    this.ffmpegPath = ffmpegPath;
+    this.modelPath = modelPath;
+    this.scale = scale;
+    this.session = null;
+  }
+
+  isAvailable() {
+    if (!this.modelPath || !fs.existsSync(this.modelPath)) return false;
+
+    try {
+      require.resolve('onnxruntime-node');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async loadSession() {
+    if (!this.session) {
+      const ort = require('onnxruntime-node');
+      this.ort = ort;
+      this.session = await ort.InferenceSession.create(this.modelPath, { executionProviders: ['cpu'] });
+    }
+    return this.session;
+  }
+
+  // Resolves to false when the source already reaches the target and nothing was done.
+  // onProgress receives { percent, speed, eta }, speed as a multiple of real time. onStart
+  // receives a handle whose kill(signal) stops both ffmpeg processes
+  async upscaleFile({ inputPath, outputPath, targetHeight, onProgress = () => {}, onStart = () => {} }) {
+    const { width, height, fps, duration } = await probeVideo(this.ffmpegPath, inputPath);
+    if (height >= targetHeight) return false;
+
+    const session = await this.loadSession();
+    const outWidth = width * this.scale;
+    const outHeight = height * this.scale;
+    const frameSize = width * height * 3;
+    const totalFrames = Math.max(1, Math.round(duration * fps));
+
+    const decoder = spawn(this.ffmpegPath, [
+      '-v', 'error', '-i', inputPath,
+      '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-'
+    ]);
+    const encoder = spawn(this.ffmpegPath, [
+      '-v', 'error', '-y',
+      '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-s', `${outWidth}x${outHeight}`, '-r', String(fps), '-i', '-',
+      '-i', inputPath,
+      '-map', '0:v', '-map', '1:a?',
+      '-vf', `scale=-2:${evenHeight(targetHeight)}:flags=lanczos`,
+      '-c:v', 'libx264', '-crf', '18', '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      outputPath
+    ]);
+
+    const encoderDone = new Promise((resolve, reject) => {
+      encoder.on('error', reject);
+      encoder.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg encoder exited with code ${code}`))));
+    });
+    // Handled through encoderDone; without this an early encoder exit throws EPIPE
+    encoder.stdin.on('error', () => {});
+    onStart({
+      kill(signal) {
+        decoder.kill(signal);
+        encoder.kill(signal);
+      }
+    });
+
+    try {
+      let pending = Buffer.alloc(0);
+      let frames = 0;
+      const startedAt = Date.now();
+
+      for await (const chunk of decoder.stdout) {
+        pending = Buffer.concat([pending, chunk]);
+
+        while (pending.length >= frameSize) {
+          const frame = pending.subarray(0, frameSize);
+          pending = pending.subarray(frameSize);
+
+          const upscaled = await this.runFrame(session, frame, width, height);
+          if (!encoder.stdin.write(upscaled)) {
+            await new Promise(resolve => encoder.stdin.once('drain', resolve));
+          }
+
+          frames++;
+          const speed = (frames / fps) / Math.max(0.001, (Date.now() - startedAt) / 1000);
+          onProgress({
+            percent: Math.min(100, (frames / totalFrames) * 100),
+            speed: `${speed.toFixed(2)}x`,
+            eta: Math.max(0, Math.round((totalFrames - frames) / fps / speed))
+          });
+        }
+      }
+
+      encoder.stdin.end();
+      await encoderDone;
+      return true;
+    } catch (error) {
+      decoder.kill('SIGKILL');
+      encoder.kill('SIGKILL');
+      throw error;
+    }
+  }
+
+  async runFrame(session, frame, width, height) {
+    const pixels = width * height;
+    const input = new Float32Array(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+      input[i] = frame[i * 3] / 255;
+      input[pixels + i] = frame[i * 3 + 1] / 255;
+      input[pixels * 2 + i] = frame[i * 3 + 2] / 255;
+    }
+
+    const feeds = { [session.inputNames[0]]: new this.ort.Tensor('float32', input, [1, 3, height, width]) };
+    const results = await session.run(feeds);
+    const output = results[session.outputNames[0]].data;
+
+    const outPixels = pixels * this.scale * this.scale;
+    const rgb = Buffer.alloc(outPixels * 3);
+    for (let i = 0; i < outPixels; i++) {
+      rgb[i * 3] = Math.max(0, Math.min(255, Math.round(output[i] * 255)));
+      rgb[i * 3 + 1] = Math.max(0, Math.min(255, Math.round(output[outPixels + i] * 255)));
+      rgb[i * 3 + 2] = Math.max(0, Math.min(255, Math.round(output[outPixels * 2 + i] * 255)));
+    }
+    return rgb;
+  }
+}
+
+function createUpscalers({ ffmpegPath, modelPath, modelScale }) {
+  const upscalers = [
+    new FfmpegUpscaler('lanczos', 'Lanczos', 'lanczos'),
+    new FfmpegUpscaler('spline', 'Spline', 'spline'),
+    new OnnxUpscaler({ ffmpegPath, modelPath, scale: modelScale })
+  ];
+
+  return {
+    list() {
+      return upscalers.map(upscaler => ({
+        id: upscaler.id,
+        label: upscaler.label,
+        available: upscaler.isAvailable()
+      }));
+    },
+
+    // Unknown or unavailable choices fall back to lanczos
+    get(id) {
+      const upscaler = upscalers.find(candidate => candidate.id === id);
+      return upscaler && upscaler.isAvailable() ? upscaler : upscalers[0];
+    }
+  };
+}
+
+module.exports = { createUpscalers, probeVideo, UPSCALE_TARGETS, DEFAULT_UPSCALE_TARGET };
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+
+// scrypt is slow on purpose, so it runs off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+// Only hashes of session tokens and API keys are stored, so a leaked file can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `scrypt$${salt}$${(await scrypt(password, salt, 64)).toString('hex')}`;
+}
+
+// Unknown usernames are checked against this, so they take as long as wrong passwords
+const DUMMY_SALT = crypto.randomBytes(16).toString('hex');
+
+// API keys are prefixed so they are easy to spot in scripts and secret scanners
+const API_KEY_PREFIX = 'vh_';
+// lastUsedAt is only written back this often, not on every request
+const KEY_USAGE_INTERVAL = 60 * 60 * 1000;
+
+// Accounts for AUTH_MODE=local, kept in one JSON file that is rewritten on every change.
+// A user signs in with a password for a session token, or uses one of their API keys
+class UserStore {
+  constructor(filePath, { sessionTtl }) {
+    this.filePath = filePath;
+    this.sessionTtl = sessionTtl;
+    this.users = new Map();
+    this.sessions = new Map();
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const data = fs.readJsonSync(this.filePath);
+      (data.users || []).forEach(user => {
+        this.users.set(user.username, { apiKeys: [], ...user });
+      });
+
+      // Expired sessions are dropped on the way in
+      const now = Date.now();
+      (data.sessions || []).forEach(session => {
+        if (session.expiresAt > now && this.users.has(session.username)) {
+          this.sessions.set(session.hash, session);
+        }
+      });
+    }
+    return this;
+  }
+
+  get(username) {
+    return this.users.get(username);
+  }
+
+  values() {
+    return Array.from(this.users.values());
+  }
+
+  async create({ username, password, admin = false, quotaMb = 0 }) {
+    const user = {
+      username,
+      passwordHash: await hashPassword(password),
+      admin: Boolean(admin),
+      quotaMb,
+      apiKeys: [],
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(username, user);
+    this.save();
+    return user;
+  }
+
+  async update(username, patch) {
+    const user = this.users.get(username);
+    if (!user) return null;
+
+    const { password, ...fields } = patch;
+    const passwordHash = password ? await hashPassword(password) : null;
+    Object.assign(user, fields);
+    if (passwordHash) {
+      user.passwordHash = passwordHash;
+      this.endSessions(username);
+    }
+    this.save();
+    return user;
+  }
+
+  delete(username) {
+    if (!this.users.delete(username)) return false;
+    this.endSessions(username);
+    this.save();
+    return true;
+  }
+
+  // Resolves to the user when the password matches, otherwise null
+  async verifyPassword(username, password) {
+    if (typeof password !== 'string') return null;
+    const user = this.users.get(username);
+    if (!user) {
+      await scrypt(password, DUMMY_SALT, 64);
+      return null;
+    }
+
+    const [, salt, hash] = user.passwordHash.split('$');
+    const expected = Buffer.from(hash, 'hex');
+    const given = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(given, expected) ? user : null;
+  }
+
+  createSession(username) {
+    const token = newToken();
+    this.sessions.set(hashToken(token), {
+      hash: hashToken(token),
+      username,
+      expiresAt: Date.now() + this.sessionTtl
+    });
+    this.save();
+    return token;
+  }
+
+  endSession(token) {
+    if (token && this.sessions.delete(hashToken(token))) {
+      this.save();
+    }
+  }
+
+  endSessions(username) {
+    this.sessions.forEach((session, hash) => {
+      if (session.username === username) this.sessions.delete(hash);
+    });
+  }
+
+  // Returns { key, apiKey }. The key itself is only ever returned here
+  createApiKey(username, name) {
+    const user = this.users.get(username);
+    const key = `${API_KEY_PREFIX}${newToken()}`;
+    const apiKey = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashToken(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    user.apiKeys.push(apiKey);
+    this.save();
+    return { key, apiKey };
+  }
+
+  revokeApiKey(username, id) {
+    const user = this.users.get(username);
+    const index = user ? user.apiKeys.findIndex(apiKey => apiKey.id === id) : -1;
+    if (index === -1) return false;
+
+    user.apiKeys.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  // The user a session token or API key belongs to, or null
+  resolveToken(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+
+    const session = this.sessions.get(hash);
+    if (session) {
+      if (session.expiresAt > Date.now()) return this.users.get(session.username) || null;
+      this.sessions.delete(hash);
+      return null;
+    }
+
+    for (const user of this.users.values()) {
+      const apiKey = user.apiKeys.find(candidate => candidate.hash === hash);
+      if (apiKey) {
+        if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > KEY_USAGE_INTERVAL) {
+          apiKey.lastUsedAt = new Date().toISOString();
+          this.save();
+        }
+        return user;
+      }
+    }
+    return null;
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = { users: this.values(), sessions: Array.from(this.sessions.values()) };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { UserStore };